@@ -1,9 +1,14 @@
 import _ from 'lodash';
-import axios from 'axios';
 
-import { isNull, isResource } from './utils';
-import { JsonApiException } from './errors';
+import { JsonApiException, RequestCancelled, RequestTimeout } from './errors';
+import { isNull, isResource, sleep } from './utils';
+import { AtomicTransaction } from './atomic';
+import { AxiosTransport } from './transports';
+import { GetBatcher } from './batching';
+import { NestedFilters } from './filters';
 import { Resource } from './resources';
+import { ResponseCache } from './caching';
+import { RetryPolicy } from './retries';
 
 export class JsonApi {
   /*  {json:api} connection **type** class. You need to subclass this to
@@ -41,6 +46,26 @@ export class JsonApi {
     *     auth: () => { return { Authorization: 'Bearer MYTOKEN' } }',
     *   });
     *
+    * The callable can also be async. Finally, 'auth' can be an *auth
+    * provider*, an object with an async `getHeaders(api)` method and,
+    * optionally, an async `refresh(api)` method (see `auth.js` for OAuth2
+    * providers).
+    *
+    * If the server responds with 401, the 'onUnauthorized' callable will be
+    * awaited and the request will be replayed once. If it returns something,
+    * it will be used as the new 'auth'. If 'auth' is a provider with a
+    * `refresh` method, it will be used as the default 'onUnauthorized', until
+    * 'auth' is replaced. Concurrent requests that fail with 401 will wait for
+    * a single refresh:
+    *
+    *   const familyApi = new FamilyApi({
+    *     auth: localStorage.token,
+    *     onUnauthorized: async () => {
+    *       localStorage.token = await renewToken();
+    *       return localStorage.token;
+    *     },
+    *   });
+    *
     * After initialization, you can modify the 'host' and 'auth' properties
     * using `.setup()`. In fact, the constructor and `.setup()` have been
     * written in such a way that the following two snippets are equivalent:
@@ -66,108 +91,473 @@ export class JsonApi {
     *   import { familyApi, FamilyApi } from './familyApi.js';
     *   familyApi.setup({ auth: 'user1' });
     *   const customApi1 = new FamilyApi({ auth: 'user2' });
-    *   const customApi2 = new FamilyApi({ auth: 'user2' }); */
+    *   const customApi2 = new FamilyApi({ auth: 'user2' });
+    *
+    * Requests are sent to the server by a *transport*. By default, axios is
+    * used but you can use the `fetch` API instead, or any object with a
+    * `request(config)` method that accepts axios-style configs and returns
+    * axios-style responses (see `transports.js`). You can set the transport
+    * either on the subclass or on the instance:
+    *
+    *   class FamilyApi extends JsonApi {
+    *     static HOST = 'https://api.families.com';
+    *     static TRANSPORT = new FetchTransport();
+    *   }
+    *
+    *   // or
+    *
+    *   const familyApi = new FamilyApi({ transport: new FetchTransport() });
+    *
+    * Requests and responses pass through a *middleware* pipeline on their way
+    * to and from the transport. A middleware is an async function that
+    * receives the request config and a `next` callable. It can modify the
+    * request before passing it on with `next(request)` and it can modify the
+    * response that `next` returns before returning it itself. It can also skip
+    * `next` altogether and return a response of its own:
+    *
+    *   async function logging(request, next) {
+    *     console.log(request.method, request.url);
+    *     const response = await next(request);
+    *     console.log(response.status);
+    *     return response;
+    *   }
+    *
+    *   class FamilyApi extends JsonApi {
+    *     static HOST = 'https://api.families.com';
+    *     static MIDDLEWARE = [logging];
+    *   }
+    *
+    *   const familyApi = new FamilyApi({ middleware: [tracing] });
+    *   familyApi.use(caching);
+    *
+    * Middleware run in the order they were registered, the ones of the
+    * subclass first, so the first one sees the request first and the response
+    * last.
+    *
+    * Failed requests are not retried, unless you set a retry policy (see
+    * `retries.js`). The 'retry' property (or the `RETRY` static field) can be
+    * a `RetryPolicy`, the options of one, `true` for the default policy or
+    * `false` to disable retries:
+    *
+    *   const familyApi = new FamilyApi({ retry: { maxAttempts: 5 } });
+    *
+    * The 'timeout' property sets a default timeout, in milliseconds, for all
+    * requests. Methods that interact with the server also accept a 'timeout'
+    * and an `AbortSignal` as 'signal' (see `.request()`).
+    *
+    * If you set the 'identityMap' property to true (or the `IDENTITY_MAP`
+    * static field), each resource object will be represented by a single
+    * `Resource` instance per connection instance. Data fetched from the
+    * server, either directly, as part of a collection or as an included item,
+    * will be merged into that instance (see `.new()`).
+    *
+    * The 'filters' property (or the `FILTERS` static field) sets the dialect
+    * that `.filter()` uses to put filter expressions in the URL (see
+    * `filters.js`). The default is `NestedFilters`:
+    *
+    *   const familyApi = new FamilyApi({ filters: new RsqlFilters() });
+    *
+    * The 'batch' property (or the `BATCH` static field) gathers concurrent
+    * `.get(id)` calls into list requests (see `batching.js`). It can be a
+    * `GetBatcher`, the options of one, `true` for the default one or `false`
+    * to disable batching, which is the default.
+    *
+    * The 'sideposting' property (or the `SIDEPOSTING` static field) tells
+    * `Resource.save()` that the server accepts new related resources in the
+    * 'included' part of a request's document. It can be `true` or the URI of
+    * the extension that the server expects (see `Resource.save()`).
+    *
+    * The 'cache' property (or the `CACHE` static field) caches the responses
+    * of GET requests and revalidates them with the server (see `caching.js`).
+    * It can be a `ResponseCache`, the options of one, `true` for an
+    * in-memory one or `false` to disable caching, which is the default. */
 
   constructor(props = {}) {
     this.host = this.constructor.HOST;
     this.auth = null;
+    this.onUnauthorized = null;
+    // The 'onUnauthorized' that came with the auth provider, if any
+    this._providerRefresh = null;
+    this._authVersion = 0;
+    this._refreshing = null;
+    this.transport = this.constructor.TRANSPORT || new AxiosTransport();
+    this.middleware = [ ...this.constructor.MIDDLEWARE || [] ];
+    this.retry = toRetryPolicy(this.constructor.RETRY);
+    this.timeout = this.constructor.TIMEOUT || null;
     this.registry = {};
+    this.identityMap = this.constructor.IDENTITY_MAP ? {} : null;
+    this.filters = this.constructor.FILTERS || new NestedFilters();
+    this.batch = toGetBatcher(this.constructor.BATCH);
+    this.sideposting = this.constructor.SIDEPOSTING || null;
+    this.cache = toResponseCache(this.constructor.CACHE);
 
     this.setup(props);
   }
 
-  setup({ host, auth } = {}) {
+  setup({ host,
+          auth,
+          onUnauthorized,
+          transport,
+          middleware,
+          retry,
+          timeout,
+          identityMap,
+          filters,
+          batch,
+          sideposting,
+          cache } = {}) {
     if (host) {
       this.host = host;
     }
+    if (transport) {
+      this.transport = transport;
+    }
+    if (middleware) {
+      this.use(...middleware);
+    }
+    if (retry !== undefined) {
+      this.retry = toRetryPolicy(retry);
+    }
+    if (timeout !== undefined) {
+      this.timeout = timeout;
+    }
+    if (filters) {
+      this.filters = filters;
+    }
+    if (batch !== undefined) {
+      this.batch = toGetBatcher(batch);
+    }
+    if (cache !== undefined) {
+      this.cache = toResponseCache(cache);
+    }
+    if (sideposting !== undefined) {
+      this.sideposting = sideposting;
+    }
+    if (identityMap === true && ! this.identityMap) {
+      this.identityMap = {};
+    }
+    else if (identityMap === false) {
+      this.identityMap = null;
+    }
     if (auth) {
+      // The previous provider's refresh would renew the wrong credentials
+      if (this._providerRefresh &&
+          this.onUnauthorized === this._providerRefresh) {
+        this.onUnauthorized = null;
+      }
+      this._providerRefresh = null;
       if (_.isFunction(auth)) {
         this.auth = auth;
       }
+      else if (_.isFunction(auth.getHeaders)) {
+        this.auth = () => auth.getHeaders(this);
+        if (_.isFunction(auth.refresh)) {
+          this._providerRefresh = () => auth.refresh(this);
+          this.onUnauthorized = this._providerRefresh;
+        }
+      }
       else {
         this.auth = () => {
           return { Authorization: `Bearer ${auth}` };
         };
       }
+      this._authVersion++;
     }
+    if (onUnauthorized) {
+      this.onUnauthorized = onUnauthorized;
+    }
+  }
+
+  use(...middleware) {
+    // Append middleware to the instance's pipeline
+    this.middleware.push(...middleware);
   }
 
   static register(parentCls) {
     function get() {
+      return this._getResourceClass(parentCls.TYPE);
+    }
+    Object.defineProperty(this.prototype, parentCls.name, { get });
+    Object.defineProperty(this.prototype, parentCls.TYPE, { get });
+    // Each connection type keeps its own copy, subclasses inherit it
+    Object.defineProperty(this, '_resourceTypes', {
+      value: { ...this._resourceTypes, [parentCls.TYPE]: parentCls },
+      configurable: true,
+    });
+  }
+
+  _getResourceClass(type) {
+    /*  Return the Resource subclass for 'type', bound to this instance. Types
+      * that have not been registered get a plain `Resource` subclass. */
+
+    if (! this.registry[type]) {
       const jsonApiInstance = this;
-      let childCls = jsonApiInstance.registry[parentCls.TYPE];
-      if (! childCls) {
-        childCls = class extends parentCls {
+      const parentCls = (this.constructor._resourceTypes || {})[type];
+      this.registry[type] = parentCls ?
+        class extends parentCls {
+          static API = jsonApiInstance;
+        } :
+        class extends Resource {
+          static TYPE = type;
+
           static API = jsonApiInstance;
         };
-        jsonApiInstance.registry[parentCls.TYPE] = childCls;
-      }
-      return childCls;
     }
-    Object.defineProperty(this.prototype, parentCls.name, { get });
-    Object.defineProperty(this.prototype, parentCls.TYPE, { get });
+    return this.registry[type];
   }
 
   async request({ url,
                   bulk = false,
                   headers = {},
                   maxRedirects = 0,
+                  signal = null,
+                  timeout = this.timeout,
                   ...props }) {
     /*  Perform an HTTP request to the server. Most of the parameters will be
       * filled in with sensible defaults for {json:api} interactons. The rest
-      * will be forwarded to `axios.request()`. In case of error, an attempt
-      * will be made to wrap the error in an error classes that make sense for
-      * {json:api} responses. If this fails (because perhaps the error
-      * originated in the load balancer sitting in front of the server), the
-      * axios error will be thrown. */
+      * will be forwarded to the transport's `request()`. In case of error, an
+      * attempt will be made to wrap the error in an error classes that make
+      * sense for {json:api} responses. If this fails (because perhaps the
+      * error originated in the load balancer sitting in front of the server),
+      * the transport's error will be thrown.
+      *
+      * If a retry policy is set, failed requests will be retried according to
+      * it. The error that is eventually thrown will have an `attempts` field
+      * with the number of attempts that were made.
+      *
+      * The request can be cancelled with an `AbortSignal` passed as 'signal',
+      * in which case a `RequestCancelled` error will be thrown. If it doesn't
+      * complete within 'timeout' milliseconds (including retries), it will be
+      * cancelled and a `RequestTimeout` error will be thrown. */
 
     if (url[0] === '/') {
       url = this.host + url;
     }
-    const actualHeaders = this.auth();
-    if (bulk) {
-      actualHeaders['Content-Type'] = (
-        'application/vnd.api+json;profile="bulk"'
-      );
+    if (! signal && ! timeout) {
+      return await this._request({ url,
+                                   bulk,
+                                   headers,
+                                   maxRedirects,
+                                   ...props });
     }
-    else {
-      actualHeaders['Content-Type'] = 'application/vnd.api+json';
+
+    const controller = new AbortController();
+    let cancellation = null;
+    function cancel(error) {
+      if (! cancellation) {
+        cancellation = error;
+        controller.abort();
+      }
     }
-    Object.assign(actualHeaders, headers);
-    let response;
+    const onAbort = () => cancel(new RequestCancelled());
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      }
+      else {
+        signal.addEventListener('abort', onAbort);
+      }
+    }
+    const timer = timeout ?
+      setTimeout(() => cancel(new RequestTimeout(timeout)), timeout) :
+      null;
     try {
-      response = await axios.request({ url,
-                                       headers: actualHeaders,
-                                       maxRedirects,
-                                       ...props });
+      if (cancellation) {
+        throw cancellation;
+      }
+      return await this._request({ url,
+                                   bulk,
+                                   headers,
+                                   maxRedirects,
+                                   signal: controller.signal,
+                                   ...props });
     }
     catch (e) {
-      const errors = _.get(e.response, 'data.errors');
-      if (errors) {
-        throw new JsonApiException(e.response.status, errors);
+      // Whatever the transport threw after being aborted is not interesting
+      throw cancellation || e;
+    }
+    finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  async _request({ bulk, headers, ...props }) {
+    let attempts = 1, replayed = false;
+    for (;;) {
+      const authVersion = this._authVersion;
+      const actualHeaders = { ...this.auth && await this.auth() };
+      if (bulk) {
+        actualHeaders['Content-Type'] = (
+          'application/vnd.api+json;profile="bulk"'
+        );
       }
       else {
-        throw e;
+        actualHeaders['Content-Type'] = 'application/vnd.api+json';
+      }
+      Object.assign(actualHeaders, headers);
+      const request = { headers: actualHeaders, ...props };
+      try {
+        if (props.signal && props.signal.aborted) {
+          throw new RequestCancelled();
+        }
+        return await this._send(request);
       }
+      catch (e) {
+        if (! replayed &&
+            this.onUnauthorized &&
+            _.get(e, 'response.status') === 401) {
+          replayed = true;
+          await this._refreshAuth(authVersion);
+          continue;
+        }
+        const delay = this.retry ?
+          this.retry.getDelay(attempts, request, e) :
+          null;
+        if (delay === null) {
+          throw wrapError(e, attempts);
+        }
+        await sleep(delay, props.signal);
+        if (props.signal && props.signal.aborted) {
+          throw e;
+        }
+        attempts++;
+      }
+    }
+  }
+
+  async _refreshAuth(authVersion) {
+    /*  Make sure that concurrent requests that failed with 401 will trigger a
+      * single refresh. If the credentials have changed since the failed
+      * request was sent, there is nothing to refresh; the request only needs
+      * to be replayed. */
+
+    if (authVersion !== this._authVersion) {
+      return;
+    }
+    if (! this._refreshing) {
+      this._refreshing = (async () => {
+        try {
+          const auth = await this.onUnauthorized(this);
+          if (auth) {
+            this.setup({ auth });
+          }
+          else {
+            this._authVersion++;
+          }
+        }
+        finally {
+          this._refreshing = null;
+        }
+      })();
     }
-    return response;
+    await this._refreshing;
+  }
+
+  async _send(request) {
+    /*  Pass the request through the middleware pipeline to the transport. The
+      * cache, if set, sits between the last middleware and the transport, so
+      * that middleware see the responses it answers too. */
+
+    const transport = (request) => this.transport.request(request);
+    const send = this.middleware.reduceRight(
+      (next, middleware) => (request) => middleware(
+        request,
+        (nextRequest = request) => next(nextRequest),
+      ),
+      this.cache ?
+        (request) => this.cache.handle(request, transport) :
+        transport,
+    );
+    return await send(request);
   }
 
   new({ type, ...props }) {
     /*  Return a new resource instance, using the appropriate Resource
       * subclass, provided that it has been registered with this API instance.
+      *
+      * If the identity map is enabled and a resource instance with the same
+      * type and id already exists, it will be returned instead, after the new
+      * data has been merged into it.
       */
 
-    const jsonApiInstance = this;
-    let cls = this.registry[type];
-    if (! cls) {
-      this.registry[type] = class extends Resource {
-        static TYPE = type;
+    const cls = this._getResourceClass(type);
+    if (this.identityMap && props.id) {
+      const existing = this.identityMap[`${type}__${props.id}`];
+      if (existing) {
+        existing._merge(props);
+        return existing;
+      }
+    }
+    const resource = new cls(props);
+    if (resource.id) {
+      resource._serverState = resource._snapshot();
+    }
+    return this.remember(resource);
+  }
+
+  remember(resource) {
+    /*  Add a resource instance to the identity map, if it is enabled and the
+      * instance has an id. If an instance for the same type and id is already
+      * in the identity map, that one is returned instead. */
+
+    if (! this.identityMap || ! resource.id) {
+      return resource;
+    }
+    const key = `${resource.constructor.TYPE}__${resource.id}`;
+    if (! (key in this.identityMap)) {
+      this.identityMap[key] = resource;
+    }
+    return this.identityMap[key];
+  }
+
+  evict(value) {
+    /*  Remove a resource instance from the identity map. Accepts a `Resource`
+      * instance or a resource identifier. The next time the resource is
+      * encountered, a fresh instance will be created for it. */
 
-        static API = jsonApiInstance;
-      };
+    if (! this.identityMap) {
+      return;
     }
-    return new this.registry[type](props);
+    const { type, id } = isResource(value) ?
+      value.asResourceIdentifier() :
+      value;
+    delete this.identityMap[`${type}__${id}`];
+  }
+
+  clearIdentityMap() {
+    if (this.identityMap) {
+      this.identityMap = {};
+    }
+  }
+
+  async atomic(callback, options = {}) {
+    /*  Send several operations in a single request, using the {json:api}
+      * Atomic Operations extension. 'callback' receives an
+      * `AtomicTransaction` (see `atomic.js`) to record the operations on;
+      * when it resolves, they are sent to the '/operations' endpoint (or
+      * 'options.url'). The server applies all of them or none:
+      *
+      *   const parent = await familyApi.atomic(async (tx) => {
+      *     const parent = new familyApi.Parent({ name: 'Zeus' });
+      *     tx.add(parent);
+      *     tx.add(new familyApi.Child({ name: 'Hercules', parent }));
+      *     return parent;
+      *   });
+      *   parent.id;
+      *   // <<< '1'
+      *
+      * If 'callback' throws, nothing is sent. Returns whatever 'callback'
+      * returned. The rest of 'options' are forwarded to `.request()`. */
+
+    const transaction = new AtomicTransaction(this);
+    const result = await callback(transaction);
+    if (transaction.operations.length > 0) {
+      await transaction.commit(options);
+    }
+    return result;
   }
 
   asResource(value) {
@@ -186,7 +576,17 @@ export class JsonApi {
     }
   }
 
-  static extend({ HOST, ...proto }) {
+  static extend({ HOST,
+                  TRANSPORT,
+                  MIDDLEWARE,
+                  RETRY,
+                  TIMEOUT,
+                  IDENTITY_MAP,
+                  FILTERS,
+                  BATCH,
+                  SIDEPOSTING,
+                  CACHE,
+                  ...proto }) {
     /*  If you are using an environment that doesn't support classes, like an
       * old browser, you can use this static method to create a subclass for
       * the connection type:
@@ -204,8 +604,71 @@ export class JsonApi {
 
     const cls = class extends this {
       static HOST = HOST;
+
+      static TRANSPORT = TRANSPORT;
+
+      static MIDDLEWARE = MIDDLEWARE;
+
+      static RETRY = RETRY;
+
+      static TIMEOUT = TIMEOUT;
+
+      static IDENTITY_MAP = IDENTITY_MAP;
+
+      static FILTERS = FILTERS;
+
+      static BATCH = BATCH;
+
+      static SIDEPOSTING = SIDEPOSTING;
+
+      static CACHE = CACHE;
     };
     Object.assign(cls.prototype, proto);
     return cls;
   }
 }
+
+function toRetryPolicy(retry) {
+  // Accepts the same values as the 'retry' property and `RETRY` static field
+  if (retry === true) {
+    return new RetryPolicy();
+  }
+  if (_.isPlainObject(retry)) {
+    return new RetryPolicy(retry);
+  }
+  return retry || null;
+}
+
+function toGetBatcher(batch) {
+  // Accepts the same values as the 'batch' property and `BATCH` static field
+  if (batch === true) {
+    return new GetBatcher();
+  }
+  if (_.isPlainObject(batch)) {
+    return new GetBatcher(batch);
+  }
+  return batch || null;
+}
+
+function toResponseCache(cache) {
+  // Accepts the same values as the 'cache' property and `CACHE` static field
+  if (cache === true) {
+    return new ResponseCache();
+  }
+  if (_.isPlainObject(cache)) {
+    return new ResponseCache(cache);
+  }
+  return cache || null;
+}
+
+function wrapError(error, attempts) {
+  const errors = _.get(error.response, 'data.errors');
+  if (errors) {
+    error = new JsonApiException(error.response.status, errors);
+  }
+  error.attempts = attempts;
+  if (attempts > 1) {
+    error.message += ` (after ${attempts} attempts)`;
+  }
+  return error;
+}
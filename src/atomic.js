@@ -0,0 +1,195 @@
+import _ from 'lodash';
+
+import { getReadOnlyFields, normalizeRelated } from './schemas';
+import { isList, isResource } from './utils';
+
+export const ATOMIC_MEDIA_TYPE = (
+  'application/vnd.api+json;ext="https://jsonapi.org/ext/atomic"'
+);
+
+export class AtomicTransaction {
+  /*  Records operations for the {json:api} Atomic Operations extension, so
+    * that they can be sent to the server as a single 'atomic:operations'
+    * document. You will not have to create instances yourself, use
+    * `JsonApi.atomic()`:
+    *
+    *   await familyApi.atomic(async (tx) => {
+    *     const parent = new familyApi.Parent({ name: 'Zeus' });
+    *     const child = new familyApi.Child({ name: 'Hercules', parent });
+    *     tx.add(parent);
+    *     tx.add(child);
+    *     tx.update(otherChild, ['name']);
+    *     tx.remove(oldChild);
+    *   });
+    *
+    * New resources are identified by their local id ('lid', see
+    * `Resource`), so that later operations can refer to them before the
+    * server has assigned them an id. They must be added before they are
+    * referred to. Relationships can be edited with `.change()`, `.reset()`
+    * and the 4-argument forms of `.add()` and `.remove()`, which mirror the
+    * respective methods of `Resource`.
+    *
+    * When the server responds, the 'atomic:results' are mapped back onto the
+    * instances: added resources get their ids and server-generated fields,
+    * removed ones lose their ids, just like with `.save()` and `.delete()`. */
+
+  constructor(API) {
+    this._API = API;
+    this.operations = [];
+    this._added = new Set();
+    this._appliers = [];
+  }
+
+  identify(resource) {
+    // Resource identifier for 'resource', using its lid if it's new
+    resource = this._API.asResource(resource);
+    if (! resource.id && ! this._added.has(resource)) {
+      throw new Error(
+        `A new ${resource.constructor.TYPE} resource must be added to the ` +
+        'transaction before it can be referred to',
+      );
+    }
+    return resource.asResourceIdentifier();
+  }
+
+  add(resource, field = null, values = null) {
+    /*  Create 'resource', or, with 'field' and 'values', add items to a
+      * plural relationship of it. */
+
+    if (field) {
+      this._editRelationship('add', resource, field, values);
+      return;
+    }
+    if (resource.id) {
+      throw new Error('Only new resources can be added, use `.update()`');
+    }
+    resource._applyDefaults();
+    resource.validate();
+    this._added.add(resource);
+    const fields = [ ..._.keys(resource.attributes),
+                     ..._.keys(resource.related) ];
+    this._record({ op: 'add',
+                   data: { ...this.identify(resource),
+                           ...this._generateData(resource, fields) } },
+                 (result) => {
+                   if (result.data) {
+                     resource._postSave({ data: result });
+                   }
+                 });
+  }
+
+  update(resource, fields = null) {
+    /*  Update 'fields' of 'resource', by default the ones that changed (see
+      * `Resource.save()`). Nothing is recorded if there are no changes. */
+
+    if (! fields) {
+      fields = _.difference(resource.changedFields(),
+                            getReadOnlyFields(resource.constructor.SCHEMA));
+      if (fields.length === 0) {
+        return;
+      }
+    }
+    resource.validate(fields);
+    this._record({ op: 'update',
+                   data: { ...this.identify(resource),
+                           ...this._generateData(resource, fields) } },
+                 (result) => {
+                   if (result.data) {
+                     resource._postSave({ data: result });
+                   }
+                   else {
+                     resource._serverState = resource._snapshot();
+                   }
+                 });
+  }
+
+  remove(resource, field = null, values = null) {
+    /*  Delete 'resource', or, with 'field' and 'values', remove items from a
+      * plural relationship of it. */
+
+    if (field) {
+      this._editRelationship('remove', resource, field, values);
+      return;
+    }
+    this._record({ op: 'remove', ref: this.identify(resource) }, () => {
+      this._API.evict(resource);
+      resource.id = null;
+    });
+  }
+
+  change(resource, field, value) {
+    // Point a singular relationship of 'resource' to 'value' (or null)
+    const declaration = (resource.constructor.RELATIONSHIPS || {})[field];
+    if (declaration) {
+      value = normalizeRelated(declaration, field, value);
+    }
+    value = value && this._API.asResource(value);
+    this._record({ op: 'update',
+                   ref: { ...this.identify(resource), relationship: field },
+                   data: value && this.identify(value) },
+                 () => resource._applyChange(field, value));
+  }
+
+  reset(resource, field, values) {
+    // Replace all the items of a plural relationship of 'resource'
+    this._editRelationship('update', resource, field, values);
+  }
+
+  _editRelationship(op, resource, field, values) {
+    const declaration = (resource.constructor.RELATIONSHIPS || {})[field];
+    if (declaration) {
+      values = normalizeRelated(declaration, field, values);
+    }
+    this._record({ op,
+                   ref: { ...this.identify(resource), relationship: field },
+                   data: values.map((item) => this.identify(item)) });
+  }
+
+  _generateData(resource, fields) {
+    // Like `Resource._generateDataForSaving()`, with lids for new resources
+    const result = resource._generateDataForSaving(fields);
+    for (const field in result.relationships || {}) {
+      const related = resource.related[field];
+      if (isResource(related)) {
+        result.relationships[field] = { data: this.identify(related) };
+      }
+      else if (related && isList(related.data)) {
+        result.relationships[field] = {
+          data: related.data.map((item) => this.identify(item)),
+        };
+      }
+    }
+    return result;
+  }
+
+  _record(operation, apply = null) {
+    this.operations.push(operation);
+    this._appliers.push(apply);
+  }
+
+  toJSON() {
+    return { 'atomic:operations': this.operations };
+  }
+
+  async commit({ url = '/operations', headers = {}, ...options } = {}) {
+    /*  Send the operations and apply the results. Called by
+      * `JsonApi.atomic()`, which also decides the 'url'. */
+
+    const response = await this._API.request({
+      method: 'post',
+      url,
+      data: this.toJSON(),
+      headers: { 'Content-Type': ATOMIC_MEDIA_TYPE,
+                 Accept: ATOMIC_MEDIA_TYPE,
+                 ...headers },
+      ...options,
+    });
+    const results = _.get(response, [ 'data', 'atomic:results' ]) || [];
+    this._appliers.forEach((apply, index) => {
+      if (apply) {
+        apply(results[index] || {});
+      }
+    });
+    return results;
+  }
+}
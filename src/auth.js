@@ -0,0 +1,140 @@
+import _ from 'lodash';
+
+class OAuth2Auth {
+  /*  Base class for OAuth2 auth providers. Auth providers can be passed as the
+    * 'auth' property of `JsonApi`. The access token is fetched from
+    * 'tokenUrl' before the first request and whenever it is about to expire
+    * (`leeway` seconds before 'expires_in' runs out). If the server responds
+    * with 401 anyway, the token will be fetched again and the request will be
+    * replayed.
+    *
+    * The token request is sent with the API connection's transport, but it
+    * does not go through the middleware. If you want to persist the tokens
+    * you receive, you can pass an 'onToken' callable, which will be called
+    * with the token endpoint's response body. */
+
+  static GRANT_TYPE = null;
+
+  constructor({ tokenUrl,
+                clientId = null,
+                clientSecret = null,
+                scope = null,
+                accessToken = null,
+                expiresAt = null,
+                leeway = 30,
+                onToken = null }) {
+    this.tokenUrl = tokenUrl;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scope = scope;
+    this.accessToken = accessToken;
+    this.tokenType = 'Bearer';
+    this.expiresAt = expiresAt;
+    this.leeway = leeway;
+    this.onToken = onToken;
+    this._pending = null;
+  }
+
+  async getHeaders(api) {
+    if (! this.accessToken ||
+        (this.expiresAt && Date.now() >= this.expiresAt - this.leeway * 1000)) {
+      await this.refresh(api);
+    }
+    return { Authorization: `${this.tokenType} ${this.accessToken}` };
+  }
+
+  async refresh(api) {
+    // Concurrent calls share the same token request
+    if (! this._pending) {
+      this._pending = this._fetchToken(api).finally(() => {
+        this._pending = null;
+      });
+    }
+    await this._pending;
+  }
+
+  async _fetchToken(api) {
+    const params = _.omitBy({ ...this._getGrant(),
+                              client_id: this.clientId,
+                              client_secret: this.clientSecret,
+                              scope: this.scope },
+                            _.isNil);
+    const response = await api.transport.request({
+      method: 'post',
+      url: this.tokenUrl,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded',
+                 Accept: 'application/json' },
+      data: _.map(params, (value, key) => (
+        `${encodeURIComponent(key)}=${encodeURIComponent(value)}`
+      )).join('&'),
+    });
+    const body = response.data;
+    this.accessToken = body.access_token;
+    if (body.token_type) {
+      this.tokenType = _.upperFirst(body.token_type);
+    }
+    this.expiresAt = body.expires_in ?
+      Date.now() + body.expires_in * 1000 :
+      null;
+    if (this.onToken) {
+      await this.onToken(body);
+    }
+    return body;
+  }
+
+  _getGrant() {
+    return { grant_type: this.constructor.GRANT_TYPE };
+  }
+}
+
+export class ClientCredentialsAuth extends OAuth2Auth {
+  /*  OAuth2 'client credentials' grant, for server-to-server communication:
+    *
+    *   const familyApi = new FamilyApi({
+    *     auth: new ClientCredentialsAuth({
+    *       tokenUrl: 'https://auth.families.com/oauth/token',
+    *       clientId: 'MYCLIENTID',
+    *       clientSecret: 'MYCLIENTSECRET',
+    *     }),
+    *   });
+    * */
+
+  static GRANT_TYPE = 'client_credentials';
+}
+
+export class RefreshTokenAuth extends OAuth2Auth {
+  /*  OAuth2 'refresh token' grant, for when you already have a refresh token
+    * (and optionally an access token), eg after an authorization code flow:
+    *
+    *   const familyApi = new FamilyApi({
+    *     auth: new RefreshTokenAuth({
+    *       tokenUrl: 'https://auth.families.com/oauth/token',
+    *       clientId: 'MYCLIENTID',
+    *       accessToken: localStorage.accessToken,
+    *       refreshToken: localStorage.refreshToken,
+    *       onToken: ({ access_token, refresh_token }) => { ... },
+    *     }),
+    *   });
+    *
+    * If the token endpoint rotates refresh tokens, the new one will be used
+    * for the next refresh. */
+
+  static GRANT_TYPE = 'refresh_token';
+
+  constructor({ refreshToken, ...props }) {
+    super(props);
+    this.refreshToken = refreshToken;
+  }
+
+  async _fetchToken(api) {
+    const body = await super._fetchToken(api);
+    if (body.refresh_token) {
+      this.refreshToken = body.refresh_token;
+    }
+    return body;
+  }
+
+  _getGrant() {
+    return { ...super._getGrant(), refresh_token: this.refreshToken };
+  }
+}
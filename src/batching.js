@@ -0,0 +1,94 @@
+import { DoesNotExist } from './errors';
+
+export class GetBatcher {
+  /*  Gathers `Resource.get(id)` calls for the same type and turns them into
+    * a single list request. Set it on the API connection type or instance:
+    *
+    *   class FamilyApi extends JsonApi {
+    *     static HOST = 'https://api.families.com';
+    *     static BATCH = new GetBatcher({ wait: 10 });
+    *   }
+    *
+    *   // or
+    *
+    *   const familyApi = new FamilyApi({ batch: true });
+    *
+    *   const [ zeus, hera ] = await Promise.all([
+    *     familyApi.Parent.get('1'),
+    *     familyApi.Parent.get('2'),
+    *   ]);
+    *   // GET /parents?filter[id]=1,2
+    *
+    * Calls are gathered for 'wait' milliseconds after the first one (0 means
+    * the ones made in the same tick) or until there are 'maxSize' distinct
+    * ids. The ids are sent with an 'in' filter on 'id', which the default
+    * filter dialect sends as 'filter[id]=1,2' (see `NestedFilters`). Ids that
+    * are not in the response are rejected with `DoesNotExist`.
+    *
+    * Calls are gathered per `Resource` class, which is bound to a connection
+    * instance, so a batcher set on the connection type never mixes the calls
+    * of connections with different credentials. */
+
+  constructor({ wait = 0, maxSize = 50 } = {}) {
+    this.wait = wait;
+    this.maxSize = maxSize;
+    this._batches = new Map();
+  }
+
+  load(cls, id) {
+    // Return a promise for the resource of type `cls.TYPE` with 'id'
+    id = String(id);
+    if (! this._batches.has(cls)) {
+      const batch = { cls, callers: {}, timer: null };
+      batch.timer = setTimeout(() => this._dispatch(batch), this.wait);
+      this._batches.set(cls, batch);
+    }
+    const batch = this._batches.get(cls);
+    const promise = new Promise((resolve, reject) => {
+      batch.callers[id] = [ ...batch.callers[id] || [], { resolve, reject } ];
+    });
+    if (Object.keys(batch.callers).length >= this.maxSize) {
+      clearTimeout(batch.timer);
+      this._dispatch(batch);
+    }
+    return promise;
+  }
+
+  async _dispatch(batch) {
+    if (this._batches.get(batch.cls) === batch) {
+      this._batches.delete(batch.cls);
+    }
+    const ids = Object.keys(batch.callers);
+    let resources;
+    try {
+      resources = await batch.cls.
+        filter({ id__in: ids }).
+        all().
+        toArray();
+    }
+    catch (error) {
+      for (const id of ids) {
+        for (const { reject } of batch.callers[id]) {
+          reject(error);
+        }
+      }
+      return;
+    }
+    const found = {};
+    for (const resource of resources) {
+      found[resource.id] = resource;
+    }
+    for (const id of ids) {
+      for (const { resolve, reject } of batch.callers[id]) {
+        if (id in found) {
+          resolve(found[id]);
+        }
+        else {
+          reject(new DoesNotExist(
+            `${batch.cls.TYPE} '${id}' does not exist`,
+          ));
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,229 @@
+import _ from 'lodash';
+
+import { getHeader, isList } from './utils';
+
+export class MemoryStorage {
+  /*  Keeps the entries of a `ResponseCache` in memory. This is the default
+    * storage. Other storages (eg for IndexedDB or the filesystem) need to
+    * implement the same async methods. Entries are plain, JSON-serializable
+    * objects. */
+
+  constructor() {
+    this._entries = new Map();
+  }
+
+  async get(key) {
+    return this._entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this._entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this._entries.delete(key);
+  }
+
+  async keys() {
+    return [ ...this._entries.keys() ];
+  }
+}
+
+export class ResponseCache {
+  /*  Caches the responses of GET requests. Set it on the API connection type
+    * or instance:
+    *
+    *   class FamilyApi extends JsonApi {
+    *     static HOST = 'https://api.families.com';
+    *     static CACHE = new ResponseCache({ storage: myIndexedDbStorage });
+    *   }
+    *
+    *   // or
+    *
+    *   const familyApi = new FamilyApi({ cache: true });
+    *
+    * Responses are stored with their 'ETag' and 'Last-Modified' headers.
+    * While they are fresh, according to the 'Cache-Control: max-age' of the
+    * response, they are served without contacting the server. After that,
+    * the request is sent with 'If-None-Match' and 'If-Modified-Since' and a
+    * '304 Not Modified' response is answered from the cache. Responses with
+    * 'Cache-Control: no-store', or with no validators and no max-age, are not
+    * stored.
+    *
+    * Requests that modify data (eg `Resource.save()` and `.delete()`)
+    * invalidate the cached responses that involve the types they touch: the
+    * types of the resources in their URL and documents. You can also
+    * invalidate entries yourself with `.invalidate()` and `.clear()`.
+    *
+    * Entries are not separated by credentials, so don't share a storage
+    * between connections that authenticate as different users. */
+
+  constructor({ storage = new MemoryStorage() } = {}) {
+    this.storage = storage;
+  }
+
+  async handle(request, next) {
+    // Send 'request' with 'next', unless it can be answered from the cache
+    if ((request.method || 'get').toLowerCase() !== 'get') {
+      try {
+        const response = await next(request);
+        await this.invalidate(...getTypes(request.url, request.data),
+                              ...getTypes(null, response.data));
+        return response;
+      }
+      catch (e) {
+        // The server may have changed something anyway
+        await this.invalidate(...getTypes(request.url, request.data));
+        throw e;
+      }
+    }
+
+    const key = getKey(request);
+    const entry = await this.storage.get(key);
+    if (entry && entry.expires && entry.expires > Date.now()) {
+      return toResponse(entry);
+    }
+
+    let response;
+    try {
+      response = await next(entry ? addValidators(request, entry) : request);
+    }
+    catch (e) {
+      if (! entry || _.get(e, 'response.status') !== 304) {
+        throw e;
+      }
+      const refreshed = { ...entry,
+                          expires: getExpiry(e.response.headers),
+                          etag: getHeader(e.response.headers, 'ETag') ||
+                            entry.etag };
+      await this.storage.set(key, refreshed);
+      return toResponse(refreshed);
+    }
+    if (response.status === 200 && isCacheable(response)) {
+      await this.storage.set(key, {
+        status: response.status,
+        headers: { ...response.headers },
+        data: _.cloneDeep(response.data),
+        types: getTypes(request.url, response.data),
+        etag: getHeader(response.headers, 'ETag') || null,
+        lastModified: getHeader(response.headers, 'Last-Modified') || null,
+        expires: getExpiry(response.headers),
+      });
+    }
+    else if (entry) {
+      await this.storage.delete(key);
+    }
+    return response;
+  }
+
+  async invalidate(...types) {
+    // Remove the cached responses that involve any of 'types'
+    for (const key of await this.storage.keys()) {
+      const entry = await this.storage.get(key);
+      if (entry && _.intersection(entry.types, types).length > 0) {
+        await this.storage.delete(key);
+      }
+    }
+  }
+
+  async clear() {
+    for (const key of await this.storage.keys()) {
+      await this.storage.delete(key);
+    }
+  }
+}
+
+function getKey({ url, params = null }) {
+  const query = _.sortBy(_.toPairs(_.omitBy(params, _.isNil)), 0).
+    map(([ name, value ]) => `${name}=${value}`).
+    join('&');
+  return query ? `${url}${url.includes('?') ? '&' : '?'}${query}` : url;
+}
+
+function getCacheControl(headers) {
+  // Parse 'Cache-Control' into an object, eg `{ 'max-age': '60' }`
+  const result = {};
+  const header = getHeader(headers, 'Cache-Control') || '';
+  for (const directive of header.split(',')) {
+    const [ name, value = true ] = directive.trim().split('=');
+    if (name) {
+      result[name.toLowerCase()] = value;
+    }
+  }
+  return result;
+}
+
+function getExpiry(headers) {
+  // The timestamp until which the response is fresh, null if it is stale
+  const cacheControl = getCacheControl(headers);
+  const maxAge = parseInt(cacheControl['max-age'], 10);
+  if (cacheControl['no-cache'] || ! (maxAge > 0)) {
+    return null;
+  }
+  return Date.now() + maxAge * 1000;
+}
+
+function isCacheable(response) {
+  if (getCacheControl(response.headers)['no-store'] ||
+      ! _.isPlainObject(response.data)) {
+    return false;
+  }
+  return Boolean(getHeader(response.headers, 'ETag') ||
+                 getHeader(response.headers, 'Last-Modified') ||
+                 getExpiry(response.headers));
+}
+
+function addValidators(request, entry) {
+  const headers = { ...request.headers };
+  if (entry.etag) {
+    headers['If-None-Match'] = entry.etag;
+  }
+  if (entry.lastModified) {
+    headers['If-Modified-Since'] = entry.lastModified;
+  }
+  return { ...request, headers };
+}
+
+function toResponse(entry) {
+  return { status: entry.status,
+           headers: { ...entry.headers },
+           data: _.cloneDeep(entry.data) };
+}
+
+function getTypes(url, document) {
+  /*  The types involved in a request or response: the segments of the URL's
+    * path (eg 'parents' and 'children' for '/parents/1/children') and the
+    * types of the resource objects and identifiers in the document. */
+
+  const types = new Set();
+  if (url) {
+    const path = url.replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0];
+    for (const segment of path.split('/')) {
+      if (segment) {
+        types.add(decodeURIComponent(segment));
+      }
+    }
+  }
+  function visit(value) {
+    if (isList(value)) {
+      value.forEach(visit);
+      return;
+    }
+    if (! _.isPlainObject(value)) {
+      return;
+    }
+    if (_.isString(value.type)) {
+      types.add(value.type);
+    }
+    for (const key of [ 'data',
+                        'included',
+                        'ref',
+                        'atomic:operations',
+                        'atomic:results' ]) {
+      visit(value[key]);
+    }
+    _.forEach(value.relationships, visit);
+  }
+  visit(document);
+  return [ ...types ];
+}
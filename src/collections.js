@@ -1,8 +1,128 @@
 import _ from 'lodash';
 
 import { DoesNotExist, MultipleObjectsReturned } from './errors';
-import { hasData, isNull } from './utils';
-import { Resource } from './resources';
+import { Q, and } from './filters';
+import { getFieldsParams, getFieldsets, hasData, isNull, isResource,
+         isSingularFetched } from './utils';
+import { CursorPaginator } from './paginators';
+import { LazyIterator } from './iterators';
+import { resolveDocument } from './documents';
+
+function parseSortKey(field, direction = 'asc') {
+  // A '-' prefix flips the direction, like in the 'sort' parameter
+  if (! [ 'asc', 'desc' ].includes(direction)) {
+    throw new Error(
+      `Sort direction of '${field}' must be 'asc' or 'desc', not ` +
+      `'${direction}'`,
+    );
+  }
+  const desc = direction === 'desc';
+  return field.startsWith('-') ?
+    { field: field.slice(1), desc: ! desc } :
+    { field, desc };
+}
+
+function parseSort(sort) {
+  // 'name,-age' => [{ field: 'name', desc: false }, { field: 'age', ... }]
+  return _.compact(sort.split(',')).map((field) => parseSortKey(field));
+}
+
+function limitConcurrency(concurrency) {
+  // Wrap async callbacks so that at most 'concurrency' of them run at once
+  let running = 0;
+  const waiting = [];
+  return async (callback) => {
+    if (running < concurrency) {
+      running++;
+    }
+    else {
+      // The callback that finishes hands its slot over to us
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+    try {
+      return await callback();
+    }
+    finally {
+      if (waiting.length > 0) {
+        waiting.shift()();
+      }
+      else {
+        running--;
+      }
+    }
+  };
+}
+
+function getRelatedInstances(resource, name) {
+  const related = resource.related[name];
+  if (isResource(related)) {
+    return [ related ];
+  }
+  return (related && related.data) || [];
+}
+
+async function prefetchRelationship(API, resources, name, options) {
+  /*  Load relationship 'name' of all 'resources' with as few requests as
+    * possible and return the (distinct) related resources. */
+
+  const { batchSize, ...fetchOptions } = options;
+  const found = {};
+  for (const resource of resources) {
+    for (const instance of getRelatedInstances(resource, name)) {
+      if (isSingularFetched(instance)) {
+        found[`${instance.constructor.TYPE}__${instance.id}`] = instance;
+      }
+    }
+  }
+
+  const missing = {};
+  const unlinked = [];
+  for (const resource of resources) {
+    const relationship = resource.relationships[name];
+    if (hasData(relationship)) {
+      for (const { type, id } of _.compact(_.castArray(relationship.data))) {
+        if (! (`${type}__${id}` in found)) {
+          missing[type] = _.union(missing[type] || [], [ id ]);
+        }
+      }
+    }
+    else if (relationship &&
+             _.get(resource.constructor.RELATIONSHIPS, [ name, 'many' ])) {
+      // Without resource linkage, plural relationships are fetched one by one
+      unlinked.push(resource);
+    }
+  }
+
+  const requests = [];
+  for (const type in missing) {
+    for (const ids of _.chunk(missing[type], batchSize)) {
+      requests.push(API._getResourceClass(type).
+        filter({ id__in: ids }).
+        all(fetchOptions).
+        toArray());
+    }
+  }
+  for (const instance of _.flatten(await Promise.all(requests))) {
+    found[`${instance.constructor.TYPE}__${instance.id}`] = instance;
+  }
+  await Promise.all(unlinked.map(async (resource) => {
+    const collection = await resource.fetch(name);
+    await collection.fetch(fetchOptions);
+  }));
+
+  for (const resource of resources) {
+    const relationship = resource.relationships[name];
+    if (hasData(relationship) && ! isNull(relationship.data)) {
+      resource._setRelated(name, relationship, found);
+    }
+  }
+  return _.uniq(_.flatMap(resources,
+                          (resource) => getRelatedInstances(resource, name)));
+}
+
+function formatSort(keys) {
+  return keys.map(({ field, desc }) => (desc ? `-${field}` : field)).join(',');
+}
 
 export class Collection {
   /*  A class for holding responses to collection URLs (eg '/parents'). You
@@ -33,17 +153,52 @@ export class Collection {
     *
     * After `.fetch()`, the 'data' will only hold the first page of the results
     * (assuming the server supports pagination). To get the rest, you need to
-    * use the pagination methods (see below). */
+    * use the pagination methods (see below).
+    *
+    * The response's top-level 'meta' (eg the total count, if the server
+    * provides it) is kept in `.meta` and its 'links' in `.links`.
+    *
+    * Navigating to arbitrary pages depends on the pagination strategy of the
+    * server, set with the 'PAGINATOR' of the Resource subclass (see
+    * `paginators.js`). */
 
-  constructor(API, url, params = null) {
+  constructor(API,
+              url,
+              params = null,
+              { type = null,
+                paginator = null,
+                filter = null,
+                origin = null } = {}) {
     this._API = API;
     this._url = url;
     this._params = params;
+    // Non-enumerable, so that they don't affect comparisons
+    Object.defineProperty(this, '_type', { value: type });
+    Object.defineProperty(this, '_filter', { value: filter });
+    Object.defineProperty(this, '_paginator', {
+      value: paginator || new CursorPaginator(),
+    });
+    // The collection whose links were followed to get to this page, if any
+    Object.defineProperty(this, '_origin', { value: origin });
     this.data = null;
+    this.meta = null;
+    this.links = null;
     this.next = this.previous = null;
   }
 
-  async fetch() {
+  get hasNext() {
+    return ! isNull(this.next);
+  }
+
+  get hasPrev() {
+    return ! isNull(this.previous);
+  }
+
+  async fetch(options = {}) {
+    /*  Fetch the collection from the server, unless it has already been
+      * fetched. 'options' are forwarded to `JsonApi.request()`, so you can
+      * pass a 'signal' and a 'timeout' */
+
     if (! isNull(this.data)) {
       return;
     }
@@ -52,37 +207,18 @@ export class Collection {
       method: 'get',
       url: this._url,
       params: this._params,
+      ...options,
     });
 
-    const includedMap = {};
-    if ('included' in response.data) {
-      for (const includedItem of response.data.included) {
-        const key = `${includedItem.type}__${includedItem.id}`;
-        includedMap[key] = includedItem;
-      }
-    }
+    this.data = resolveDocument(this._API, response.data, {
+      fieldsets: getFieldsets(this._url, this._params),
+    }) || [];
+    this.meta = response.data.meta || {};
+    this.links = response.data.links || {};
 
-    this.data = [];
-    for (const item of response.data.data) {
-      const related = {};
-      for (const name in (item.relationships || {})) {
-        const relationship = item.relationships[name];
-        if (isNull(relationship) || ! hasData(relationship)) {
-          continue;
-        }
-        const key = `${relationship.data.type}__${relationship.data.id}`;
-        if (key in includedMap) {
-          related[name] = this._API.new(includedMap[key]);
-        }
-      }
-      const relationships = item.relationships || {};
-      delete item.relationships;
-      Object.assign(relationships, related);
-      this.data.push(this._API.new({ relationships, ...item }));
-    }
-
-    this.next = (response.data.links || {}).next || null;
-    this.previous = (response.data.links || {}).previous || null;
+    // {json:api} calls it 'prev', but some servers use 'previous'
+    this.next = this.links.next || null;
+    this.previous = this.links.prev || this.links.previous || null;
   }
 
   static fromData(API, data, url = '') {
@@ -91,7 +227,7 @@ export class Collection {
     return result;
   }
 
-  async getNext() {
+  async getNext(options = {}) {
     /*  Return a new `Collection` instance for the next page of the resuts and
       * await it. This will only work if the `.next` field is set:
       *
@@ -109,16 +245,128 @@ export class Collection {
       *   }
       * */
 
-    const page = new this.constructor(this._API, this.next);
-    await page.fetch();
-    return page;
+    return this._getLink(this.next, options);
   }
 
-  async getPrevious() {
+  async getPrevious(options = {}) {
     // Similar to `.getNext()`, but for the previous page
     //
-    const page = new this.constructor(this._API, this.previous);
-    await page.fetch();
+    return this._getLink(this.previous, options);
+  }
+
+  async getFirst(options = {}) {
+    /*  Return the first page, following the 'first' link if the server
+      * provided one. Otherwise, if this collection has not been paginated yet,
+      * it is the first page. If it has, the first page is the collection the
+      * pagination started from or, failing that, it is found by following
+      * the 'previous' links. */
+
+    await this.fetch(options);
+    // Collections made from data (eg relationships) have no links
+    const first = _.get(this.links, 'first');
+    if (first) {
+      return this._getLink(first, options);
+    }
+    if (! this.hasPrev) {
+      return this;
+    }
+    if (this._origin) {
+      return this._origin.getFirst(options);
+    }
+    let page = this;
+    while (page.hasPrev) {
+      page = await page.getPrevious(options);
+    }
+    return page;
+  }
+
+  async getLast(options = {}) {
+    /*  Return the last page, following the 'last' link if the server
+      * provided one. Otherwise, the paginator will compute it or walk to it
+      * through the 'next' links. */
+
+    await this.fetch(options);
+    const last = _.get(this.links, 'last');
+    if (last) {
+      return this._getLink(last, options);
+    }
+    return this._paginator.getLast(this, options);
+  }
+
+  async getPage(number, options = {}) {
+    /*  Return page 'number' (starting from 1), or null if there aren't that
+      * many pages. This should be called on the original collection, before
+      * any pagination, since the paginator adds its parameters to it:
+      *
+      *   const children = familyApi.Child.list();
+      *   const page = await children.getPage(3);
+      * */
+
+    return this._paginator.getPage(this, number, options);
+  }
+
+  async count(options = {}) {
+    /*  Return the total number of items. If the server doesn't provide it
+      * in the response's 'meta', the paginator will compute it from the
+      * 'last' link if it can; otherwise all the pages will be fetched to
+      * count them. */
+
+    return this._paginator.count(this, options);
+  }
+
+  async exists(options = {}) {
+    /*  Return whether the collection has any items, asking the server for
+      * a single one if the collection has not been fetched yet:
+      *
+      *   if (await familyApi.Child.filter({ parent }).exists()) { ... }
+      * */
+
+    return ! isNull(await this.first(options));
+  }
+
+  async first(options = {}) {
+    /*  Return the first item of the collection, or null if it is empty. If
+      * the collection has not been fetched yet, only a page of one item is
+      * requested (if the paginator knows how to ask for that). */
+
+    if (! isNull(this.data) && ! this.hasPrev) {
+      return this.data[0] || null;
+    }
+    const page = isNull(this.data) ?
+      this.extra(this._paginator.getSizeParams(1)) :
+      await this.getFirst(options);
+    await page.fetch(options);
+    return page.data[0] || null;
+  }
+
+  async last(options = {}) {
+    /*  Return the last item of the collection, or null if it is empty. If
+      * the collection is sorted, this is the first item of the reverse
+      * ordering, which takes a single request. Otherwise, the last page is
+      * found with `.getLast()`. */
+
+    if (! isNull(this.data) && ! this.hasNext) {
+      return _.last(this.data) || null;
+    }
+    if ((this._params || {}).sort) {
+      return this.reverse().first(options);
+    }
+    const page = await this.getLast(options);
+    return _.last(page.data) || null;
+  }
+
+  _getOptions() {
+    return { type: this._type,
+             paginator: this._paginator,
+             filter: this._filter };
+  }
+
+  async _getLink(url, options = {}) {
+    const page = new this.constructor(this._API, url, null, {
+      ...this._getOptions(),
+      origin: this._origin || this,
+    });
+    await page.fetch(options);
     return page;
   }
 
@@ -135,7 +383,10 @@ export class Collection {
       * */
 
     const newParams = { ...this._params || {}, ...params };
-    return new this.constructor(this._API, this._url, newParams);
+    return new this.constructor(this._API,
+                                this._url,
+                                newParams,
+                                this._getOptions());
   }
 
   filter(filters) {
@@ -168,23 +419,31 @@ export class Collection {
       * will send:
       *
       *   GET /children?filter[parent]=1
-      * */
+      *
+      * Filters can also be `Q` expressions, combined with 'or', 'and' and
+      * 'not' and with operators like 'in' and 'between':
+      *
+      *   familyApi.Child.filter(or({ age__lt: 5 }, { name__in: ['a', 'b'] }));
+      *
+      * How the expression ends up in the URL is decided by the connection's
+      * filter dialect (see `filters.js`); the default one only supports 'and'.
+      * Calling `.filter()` again on the result adds to the previous filters
+      * with 'and'.
+      *
+      * If 'filters' is a function, the items are filtered on the client
+      * instead, lazily going through all the pages (see `.all()`):
+      *
+      *   familyApi.Child.list().filter((child) => child.get('age') > 5); */
 
-    const params = {};
-    for (const key in filters) {
-      let value = filters[key];
-      const parts = key.split('__');
-      const filterKey = [ `filter[${parts[0]}]` ];
-      for (let i = 1; i < parts.length; i++) {
-        const part = parts[i];
-        filterKey.push(`[${part}]`);
-      }
-      if (value instanceof Resource) {
-        value = value.id;
-      }
-      params[filterKey.join('')] = value;
+    if (_.isFunction(filters)) {
+      return this.all().filter(filters);
     }
-    return this.extra(params);
+    const q = this._filter ? and(this._filter, filters) : new Q(filters);
+    const params = this._API.filters.serialize(q);
+    return new this.constructor(this._API,
+                                this._url,
+                                { ...this._params || {}, ...params },
+                                { ...this._getOptions(), filter: q });
   }
 
   page(arg) {
@@ -250,34 +509,153 @@ export class Collection {
       * will send:
       *
       *   GET /children?sort=name,age
+      *
+      * Descending fields can be prefixed with '-' or passed in objects that
+      * map fields to 'asc' or 'desc', in order:
+      *
+      *   familyApi.Child.sort({ name: 'asc', age: 'desc' });
+      *   // GET /children?sort=name,-age
+      *
+      * This replaces any previous ordering; use `.thenBy()` to add to it.
+      * Sorting by the fields of related resources ('parent.name') is checked
+      * against the 'RELATIONSHIPS' of the Resource subclass, if it declares
+      * any. */
+
+    const keys = _.flatMap(args, (arg) => (
+      _.isPlainObject(arg) ?
+        _.map(arg, (direction, field) => parseSortKey(field, direction)) :
+        parseSort(arg)
+    ));
+    for (const { field } of keys) {
+      this._checkSortField(field);
+    }
+    return this.extra({ sort: formatSort(keys) });
+  }
+
+  orderBy(field, direction = 'asc') {
+    /*  Order by a single field, replacing any previous ordering. Chain with
+      * `.thenBy()` for more fields:
+      *
+      *   familyApi.Child.orderBy('age', 'desc').thenBy('name');
+      *   // GET /children?sort=-age,name
       * */
 
-    return this.extra({ sort: args.join(',') });
+    return this.sort({ [field]: direction });
+  }
+
+  thenBy(field, direction = 'asc') {
+    // Add a field to the end of the current ordering
+    return this.sort((this._params || {}).sort || '', { [field]: direction });
+  }
+
+  reverse() {
+    // Flip the direction of every field of the current ordering
+    const keys = parseSort((this._params || {}).sort || '');
+    if (keys.length === 0) {
+      throw new Error('Cannot reverse a collection that is not sorted');
+    }
+    const reversed = keys.map(({ field, desc }) => ({ field, desc: ! desc }));
+    return this.extra({ sort: formatSort(reversed) });
+  }
+
+  _checkSortField(field) {
+    const parts = field.split('.');
+    let cls = this._type ? this._API._getResourceClass(this._type) : null;
+    for (const part of parts.slice(0, -1)) {
+      if (! cls || ! cls.RELATIONSHIPS || (cls.SCHEMA && part in cls.SCHEMA)) {
+        // Nothing to check against or a nested attribute
+        return;
+      }
+      const declaration = cls.RELATIONSHIPS[part];
+      if (! declaration || declaration.many) {
+        throw new Error(
+          `Cannot sort by '${field}', '${part}' is not a singular ` +
+          `relationship of ${cls.TYPE}`,
+        );
+      }
+      cls = declaration.types.length === 1 ?
+        this._API._getResourceClass(declaration.types[0]) :
+        null;
+    }
   }
 
   fields(...args) {
-    /*  Will set the 'fields' GET parameter. The arguments will be
-      * comma-separated:
+    /*  Will set sparse fieldsets. The arguments are the fields of the
+      * collection's type that the server should return:
       *
       *   const children = familyApi.Child.fields('name', 'age');
       *   await children.fetch();
       *
       * will send:
       *
-      *   GET /children?fields=name,age
+      *   GET /children?fields[children]=name,age
+      *
+      * To limit the fields of included resources too, pass an object that
+      * maps types to fields:
+      *
+      *   const children = familyApi.Child.
+      *     include('parent').
+      *     fields({ children: ['name'], parents: ['name', 'email'] });
+      *
+      * will send:
+      *
+      *   GET /children?include=parent&fields[children]=name&
+      *     fields[parents]=name,email
+      *
+      * If the collection's type is not known (eg for plural relationships
+      * without a declaration), the first form will send 'fields=name,age'.
       * */
 
-    return this.extra({ fields: args.join(',') });
+    const fields = args.length === 1 && _.isPlainObject(args[0]) ?
+      args[0] :
+      args;
+    return this.extra(getFieldsParams(this._type, fields));
   }
 
-  async get(filters = {}) {
+  async prefetch(...args) {
+    /*  Load relationships of all the items of the collection, for when they
+      * were not included. Instead of one request per item, the distinct
+      * related ids are requested in batches of 'batchSize', using an 'in'
+      * filter on 'id' (see the connection's filter dialect):
+      *
+      *   const children = familyApi.Child.list();
+      *   await children.prefetch('parent', 'parent.pets');
+      *   // GET /children
+      *   // GET /parents?filter[id]=1,2
+      *   // GET /pets?filter[id]=3,4,5
+      *   children.data[0].get('parent').get('pets').data[0].get('name');
+      *
+      * Related resources that are already loaded are not requested again.
+      * Plural relationships without resource linkage (only a 'related' link)
+      * can only be fetched one by one, and only if they are declared in the
+      * 'RELATIONSHIPS' of the Resource subclass. The last argument can be
+      * an object with the 'batchSize' (default 50) and options for
+      * `.fetch()`. Returns the collection itself. */
+
+    const { batchSize = 50, ...options } = _.isPlainObject(_.last(args)) ?
+      args.pop() :
+      {};
+    await this.fetch(options);
+    for (const path of args) {
+      let resources = this.data;
+      for (const name of path.split('.')) {
+        resources = await prefetchRelationship(this._API,
+                                               resources,
+                                               name,
+                                               { batchSize, ...options });
+      }
+    }
+    return this;
+  }
+
+  async get(filters = {}, options = {}) {
     /*  Applies all the filters, fetches the response and if the length of the
       * response is 1, returns it. If it's not 1, an appropriate error will be
       * thrown.
       * */
 
     const qs = this.filter(filters);
-    await qs.fetch();
+    await qs.fetch(options);
     if (qs.data.length === 0) {
       throw new DoesNotExist();
     }
@@ -289,7 +667,9 @@ export class Collection {
     }
   }
 
-  async * allPages() {
+  async * allPages({ prefetch = 0,
+                     concurrency = prefetch,
+                     ...options } = {}) {
     /*  Async generator that returns all the pages of a paginated response:
       *
       *   const children = familyApi.Child.list();
@@ -297,14 +677,42 @@ export class Collection {
       *   for await (const page of children.allPages()) {
       *     allChildren.concat(page.data);
       *   }
+      *
+      * 'options' are forwarded to every page's `.fetch()`. If you pass a
+      * 'signal' and abort it, the page request that is in flight will be
+      * aborted and the generator will throw a `RequestCancelled` error:
+      *
+      *   const controller = new AbortController();
+      *   onNavigate(() => controller.abort());
+      *   for await (const page of children.allPages({
+      *     signal: controller.signal,
+      *   })) {
+      *     ...
+      *   }
+      *
+      * With 'prefetch', up to that many pages are fetched ahead while you
+      * are working on the current one. Following 'next' links can only
+      * happen one page at a time, but if the paginator can tell the number
+      * of pages (eg a `PageNumberPaginator` with a size and a count in
+      * 'meta'), they are fetched in parallel, at most 'concurrency' at a
+      * time (by default as many as 'prefetch'). Either way, the pages are
+      * yielded in order:
+      *
+      *   for await (const page of children.allPages({ prefetch: 4 })) {
+      *     await exportChildren(page.data);
+      *   }
       * */
 
-    await this.fetch();
+    await this.fetch(options);
+    if (prefetch > 0 && this.hasNext) {
+      yield * this._prefetchPages(prefetch, concurrency, options);
+      return;
+    }
     let page = this;
     while (true) {
       yield page;
       if (page.next) {
-        page = await page.getNext();
+        page = await page.getNext(options);
       }
       else {
         break;
@@ -312,20 +720,107 @@ export class Collection {
     }
   }
 
-  async * all() {
-    /*  Async generator that returns all the items of a paginated response:
+  async * _prefetchPages(prefetch, concurrency, options) {
+    const pageCount = this.hasPrev || ! this._paginator.getPageCount ?
+      null :
+      this._paginator.getPageCount(this);
+    let getPage;
+    if (pageCount !== null) {
+      const limit = limitConcurrency(concurrency);
+      let number = 1;
+      getPage = () => {
+        if (number >= pageCount) {
+          return Promise.resolve(null);
+        }
+        const current = ++number;
+        return limit(() => this._paginator.getPage(this, current, options));
+      };
+    }
+    else {
+      let previous = Promise.resolve(this);
+      getPage = () => {
+        previous = previous.then((page) => (
+          page && page.hasNext ? page.getNext(options) : null
+        ));
+        return previous;
+      };
+    }
+
+    const queue = [];
+    const fill = () => {
+      while (queue.length < prefetch) {
+        const promise = getPage();
+        // Failures are thrown when the page's turn comes
+        promise.catch(() => {});
+        queue.push(promise);
+      }
+    };
+    fill();
+    yield this;
+    while (true) {
+      const promise = queue.shift();
+      fill();
+      const page = await promise;
+      if (! page) {
+        break;
+      }
+      yield page;
+    }
+  }
+
+  all(options = {}) {
+    /*  Async iterator that returns all the items of a paginated response:
       *
       *   const children = familyApi.Child.list();
       *   const allChildren = [];
       *   for await (const child of children.all()) {
       *     allChildren.push(child);
       *   }
+      *
+      * The result is a `LazyIterator`, so it can also be transformed with
+      * `.map()`, `.filter()`, `.take()` etc (see `iterators.js`).
+      *
+      * 'options' are forwarded to `.allPages()`.
       * */
 
-    for await (const page of this.allPages()) {
-      for (const item of page.data) {
-        yield item;
-      }
+    return new LazyIterator(() => this._allItems(options));
+  }
+
+  async * _allItems(options) {
+    for await (const page of this.allPages(options)) {
+      yield * page.data;
     }
   }
+
+  map(callback) {
+    /*  Shortcuts for the `LazyIterator` methods of `.all()`, eg:
+      *
+      *   const names = await familyApi.Child.list().
+      *     map((child) => child.get('name')).
+      *     toArray({ max: 100 });
+      *
+      * `.filter()` is the client-side one when it's given a function. */
+
+    return this.all().map(callback);
+  }
+
+  take(count) {
+    return this.all().take(count);
+  }
+
+  chunk(size) {
+    return this.all().chunk(size);
+  }
+
+  toArray(options = {}) {
+    return this.all().toArray(options);
+  }
+
+  reduce(callback, initial) {
+    return this.all().reduce(callback, initial);
+  }
+
+  forEach(callback, options = {}) {
+    return this.all().forEach(callback, options);
+  }
 }
@@ -0,0 +1,72 @@
+import _ from 'lodash';
+
+import { hasData, isList, isNull } from './utils';
+
+export function linkResources(resources) {
+  /*  Point the relationships of every resource in 'resources' to the
+    * instances in the same list, wherever they appear. Since only references
+    * are assigned, cycles (eg a child whose parent includes the child) are not
+    * a problem. If the same resource appears more than once, the first
+    * instance wins. */
+
+  const resourceMap = {};
+  for (const resource of resources) {
+    const key = `${resource.constructor.TYPE}__${resource.id}`;
+    if (! (key in resourceMap)) {
+      resourceMap[key] = resource;
+    }
+  }
+  for (const resource of resources) {
+    for (const name in resource.relationships) {
+      const relationship = resource.relationships[name];
+      if (hasData(relationship) && ! isNull(relationship.data)) {
+        resource._setRelated(name, relationship, resourceMap);
+      }
+    }
+  }
+}
+
+export function resolveDocument(API,
+                                { data = null, included = [] },
+                                { target = null, fieldsets = {} } = {}) {
+  /*  Turn the body of a {json:api} response into resource instances and link
+    * them to each other, following relationships of included resources too,
+    * so that eg `?include=parent.children` results in
+    * `child.get('parent').get('children').data` being populated. Returns a
+    * resource, a list of resources or null, depending on the primary data.
+    * If 'target' is set, it is overwritten with the (singular) primary data
+    * instead of creating a new instance, or merged into if it is in the
+    * identity map. 'fieldsets' are the sparse fieldsets
+    * of the request (eg `{ children: ['name'] }`), so that the resources
+    * know which of their fields were left out. */
+
+  let primary = null;
+  if (isList(data)) {
+    primary = data.map((item) => API.new(item));
+  }
+  else if (! isNull(data)) {
+    if (target) {
+      // Like `JsonApi.new()`, keep the local changes of a shared instance
+      const key = `${target.constructor.TYPE}__${target.id}`;
+      if (API.identityMap && API.identityMap[key] === target) {
+        target._merge(data);
+      }
+      else {
+        target._overwrite(data);
+      }
+      primary = target;
+    }
+    else {
+      primary = API.new(data);
+    }
+  }
+  const resources = [
+    ..._.compact(_.castArray(primary)),
+    ...(included || []).map((item) => API.new(item)),
+  ];
+  for (const resource of resources) {
+    resource._fieldset = fieldsets[resource.constructor.TYPE] || null;
+  }
+  linkResources(resources);
+  return primary;
+}
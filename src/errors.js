@@ -1,7 +1,10 @@
+import _ from 'lodash';
+
 export class JsonApiException extends Error {
   constructor(statusCode, errors, ...args) {
     super(...args);
     this.statusCode = statusCode;
+    this.attempts = 1;
     this.errors = errors.map((error) => new JsonApiError(error));
     this.message = this.errors.map((error) => error.toString()).join(', ');
 
@@ -14,12 +17,13 @@ export class JsonApiException extends Error {
 }
 
 class JsonApiError {
-  constructor({ status, code, title, detail, source = null }) {
+  constructor({ status, code, title, detail, source = null, meta = null }) {
     this.status = status;
     this.code = code;
     this.title = title;
     this.detail = detail;
     this.source = source;
+    this.meta = meta;
   }
 
   toString() {
@@ -30,3 +34,115 @@ class JsonApiError {
 export class NotSingleItem extends Error {}
 export class DoesNotExist extends NotSingleItem {}
 export class MultipleObjectsReturned extends NotSingleItem {}
+
+export class TransportError extends Error {
+  /*  Thrown by transports other than axios' when the server responds with an
+    * error status or when the request could not be performed at all. It
+    * mimics the shape of axios' errors: `response` holds the normalized
+    * response, if one was received, and `code` holds the low-level error code
+    * (eg 'ECONNRESET'), if one is available. */
+
+  constructor(message, { response = null, code = null } = {}) {
+    super(message);
+    this.response = response;
+    this.code = code;
+    this.name = 'TransportError';
+  }
+}
+
+export class RequestCancelled extends Error {
+  /*  Thrown when a request was aborted through the `AbortSignal` that was
+    * passed to it. */
+
+  constructor(message = 'Request was cancelled', ...args) {
+    super(message, ...args);
+    this.name = 'RequestCancelled';
+  }
+}
+
+export class RequestTimeout extends RequestCancelled {
+  constructor(timeout, ...args) {
+    super(`Request timed out after ${timeout}ms`, ...args);
+    this.timeout = timeout;
+    this.name = 'RequestTimeout';
+  }
+}
+
+export class ValidationError extends Error {
+  /*  Thrown by `Resource.validate()` (and therefore by `.save()` and
+    * `.create()`) when the resource's attributes don't match its 'SCHEMA'.
+    * `errors` maps field names to lists of messages:
+    *
+    *   { name: ['is required'], 'address.city': ['must be a string'] }
+    * */
+
+  constructor(errors, ...args) {
+    super(_.map(errors, (messages, field) => (
+      `${field}: ${messages.join(', ')}`
+    )).join('; '), ...args);
+    this.errors = errors;
+    this.name = 'ValidationError';
+  }
+}
+
+export class PartialSaveError extends Error {
+  /*  Thrown by `Resource.save()` with 'withRelated' when the resources are
+    * created with separate requests and one of them fails. The ones that were
+    * created before the failure are in `created`, in the order they were
+    * created, the ones that were not (starting with the one that failed) are
+    * in `unsaved` and the original error is in `cause`. You can delete the
+    * created resources with `.rollback()`:
+    *
+    *   try {
+    *     await parent.save(null, null, { withRelated: ['children'] });
+    *   }
+    *   catch (e) {
+    *     if (e instanceof PartialSaveError) {
+    *       await e.rollback();
+    *     }
+    *     throw e;
+    *   }
+    * */
+
+  constructor(cause, created, unsaved, ...args) {
+    super(
+      `Saving stopped after creating ${created.length} resource(s), ` +
+      `${unsaved.length} left unsaved: ${cause.message}`,
+      ...args,
+    );
+    this.cause = cause;
+    this.created = created;
+    this.unsaved = unsaved;
+    this.name = 'PartialSaveError';
+  }
+
+  async rollback(options = {}) {
+    // Delete the created resources, in reverse order
+    for (const resource of [ ...this.created ].reverse()) {
+      await resource.delete(options);
+    }
+  }
+}
+
+export class ConflictError extends Error {
+  /*  Thrown by `Resource.save()` and `.delete()` when the server responds
+    * with '412 Precondition Failed', because the resource was modified since
+    * it was last fetched (see `Resource.etag`). `resource` is the local
+    * instance, with its changes intact, and `current` is a separate instance
+    * with the server's current state, so that you can merge the two. `current`
+    * is null if the server's state could not be fetched (eg because the
+    * resource was deleted). */
+
+  constructor(resource, current, cause, ...args) {
+    super(
+      `${resource.constructor.TYPE} '${resource.id}' was modified on the ` +
+      'server',
+      ...args,
+    );
+    this.statusCode = 412;
+    this.resource = resource;
+    this.current = current;
+    this.cause = cause;
+    this.name = 'ConflictError';
+  }
+}
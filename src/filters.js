@@ -0,0 +1,297 @@
+import _ from 'lodash';
+
+import { isResource } from './utils';
+
+const OPERATORS = [ 'eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'between' ];
+
+export class Q {
+  /*  A composable filter expression. Construct it with Django-style lookups
+    * and combine it with `.and()`, `.or()` and `.not()` (or the `and`, `or`
+    * and `not` functions):
+    *
+    *   const adults = new Q({ age__gte: 18 });
+    *   const named = new Q({ name__in: ['Hercules', 'Achilles'] });
+    *   familyApi.Child.filter(adults.or(named).not());
+    *
+    * The keys of the lookups are 'FIELD__OPERATOR', where the operator is one
+    * of 'eq' (the default if it's left out), 'ne', 'gt', 'gte', 'lt', 'lte',
+    * 'in' (with a list) and 'between' (with a [min, max] pair). The way the
+    * expression is sent to the server is up to the API connection's filter
+    * dialect (see `NestedFilters` and the rest). */
+
+  constructor(lookups = {}) {
+    if (lookups instanceof Q) {
+      this.node = lookups.node;
+    }
+    else {
+      const children = _.map(lookups, parseLookup);
+      this.node = children.length === 1 ?
+        children[0] :
+        { op: 'and', children };
+    }
+  }
+
+  static fromNode(node) {
+    const result = new this();
+    result.node = node;
+    return result;
+  }
+
+  and(...others) {
+    return and(this, ...others);
+  }
+
+  or(...others) {
+    return or(this, ...others);
+  }
+
+  not() {
+    return not(this);
+  }
+}
+
+function parseLookup(value, key) {
+  const parts = key.split('__');
+  let op = 'eq';
+  if (parts.length > 1 && OPERATORS.includes(_.last(parts))) {
+    op = parts.pop();
+  }
+  if (isResource(value)) {
+    value = value.id;
+  }
+  else if (_.isArray(value)) {
+    value = value.map((item) => (isResource(item) ? item.id : item));
+  }
+  if (op === 'between' && (! _.isArray(value) || value.length !== 2)) {
+    throw new Error(`'${key}' expects a [min, max] pair`);
+  }
+  return { field: parts.join('.'), path: parts, op, value };
+}
+
+function combine(op, args) {
+  const children = [];
+  for (const arg of args) {
+    const node = new Q(arg).node;
+    // Flatten nested groups of the same kind, eg and(and(a, b), c)
+    if (node.op === op) {
+      children.push(...node.children);
+    }
+    else {
+      children.push(node);
+    }
+  }
+  return Q.fromNode({ op, children });
+}
+
+export function and(...args) {
+  // `and(a, b)` matches what both 'a' and 'b' match
+  return combine('and', args);
+}
+
+export function or(...args) {
+  // `or(a, b)` matches what either 'a' or 'b' matches
+  return combine('or', args);
+}
+
+export function not(arg) {
+  return Q.fromNode({ op: 'not', child: new Q(arg).node });
+}
+
+function isCondition(node) {
+  return 'field' in node;
+}
+
+function isEmpty(node) {
+  // Whether an expression has no conditions, eg `new Q({})`
+  if (isCondition(node)) {
+    return false;
+  }
+  if (node.op === 'not') {
+    return isEmpty(node.child);
+  }
+  return _.every(node.children, isEmpty);
+}
+
+function negate(node) {
+  // Push a 'not' down to the conditions, using De Morgan's laws
+  if (isCondition(node)) {
+    const opposites = { eq: 'ne', ne: 'eq', gt: 'lte', lte: 'gt',
+                        lt: 'gte', gte: 'lt', in: 'out', out: 'in' };
+    if (node.op === 'between') {
+      const [ min, max ] = node.value;
+      return { op: 'or',
+               children: [ { ...node, op: 'lt', value: min },
+                           { ...node, op: 'gt', value: max } ] };
+    }
+    return { ...node, op: opposites[node.op] };
+  }
+  if (node.op === 'not') {
+    return node.child;
+  }
+  return { op: node.op === 'and' ? 'or' : 'and',
+           children: node.children.map(negate) };
+}
+
+function conditions(node, dialect) {
+  // The conditions of an expression that only uses 'and'
+  if (isCondition(node)) {
+    return [ node ];
+  }
+  if (node.op !== 'and') {
+    throw new Error(
+      `The ${dialect} filter dialect does not support '${node.op}'`,
+    );
+  }
+  return _.flatMap(node.children, (child) => conditions(child, dialect));
+}
+
+export class NestedFilters {
+  /*  The default filter dialect, which nests fields and operators in
+    * brackets:
+    *
+    *   { age__gt: 5, name__in: ['a', 'b'] }
+    *   // ?filter[age][gt]=5&filter[name][in]=a,b
+    *
+    * Equality is sent without an operator ('filter[name]=a'), and so is 'in'
+    * on 'id' ('filter[id]=1,2'), which is how {json:api} servers usually
+    * accept a list of ids. Since bracketed parameters can only express
+    * conjunctions, 'or' and 'not' cannot be used. */
+
+  constructor({ param = 'filter' } = {}) {
+    this.param = param;
+  }
+
+  serialize(q) {
+    const params = {};
+    for (const condition of conditions(q.node, this.constructor.name)) {
+      Object.assign(params, this._serializeCondition(condition));
+    }
+    return params;
+  }
+
+  _serializeCondition({ path, op, value }) {
+    const key = [ this.param, ...path.map((part) => `[${part}]`) ];
+    if (op === 'in' && _.isEqual(path, [ 'id' ])) {
+      return { [key.join('')]: value.join(',') };
+    }
+    if (op !== 'eq') {
+      key.push(`[${op}]`);
+    }
+    return { [key.join('')]: _.isArray(value) && op !== 'eq' ?
+      value.join(',') :
+      value };
+  }
+}
+
+export class CommaFilters extends NestedFilters {
+  /*  Like `NestedFilters`, but 'in' is expressed as a comma-separated list
+    * of values for the field itself:
+    *
+    *   { name__in: ['a', 'b'] }
+    *   // ?filter[name]=a,b */
+
+  _serializeCondition(condition) {
+    if (condition.op === 'in') {
+      return super._serializeCondition({ ...condition,
+                                         op: 'eq',
+                                         value: condition.value.join(',') });
+    }
+    return super._serializeCondition(condition);
+  }
+}
+
+export class JsonFilters {
+  /*  Sends the whole expression as a single JSON-encoded parameter:
+    *
+    *   or({ age__gt: 5 }, { name: 'a' })
+    *   // ?filter={"or":[{"age":{"gt":5}},{"name":"a"}]}
+    * */
+
+  constructor({ param = 'filter' } = {}) {
+    this.param = param;
+  }
+
+  serialize(q) {
+    if (isEmpty(q.node)) {
+      return {};
+    }
+    return { [this.param]: JSON.stringify(this._toJson(q.node)) };
+  }
+
+  _toJson(node) {
+    if (isCondition(node)) {
+      return { [node.field]: node.op === 'eq' ?
+        node.value :
+        { [node.op]: node.value } };
+    }
+    if (node.op === 'not') {
+      return { not: this._toJson(node.child) };
+    }
+    const children = node.children.map((child) => this._toJson(child));
+    // A conjunction of conditions on different fields can be a plain object
+    if (node.op === 'and' &&
+        _.every(node.children, isCondition) &&
+        _.uniqBy(node.children, 'field').length === node.children.length) {
+      return Object.assign({}, ...children);
+    }
+    return { [node.op]: children };
+  }
+}
+
+export class RsqlFilters {
+  /*  Sends the expression as an RSQL/FIQL string in a single parameter:
+    *
+    *   or({ age__gt: 5 }, { name__in: ['a', 'b'] })
+    *   // ?filter=age=gt=5,name=in=(a,b)
+    *
+    * 'not' is applied to the conditions themselves (eg `not({ age__gt: 5 })`
+    * becomes 'age=le=5'), since RSQL has no negation operator. */
+
+  constructor({ param = 'filter' } = {}) {
+    this.param = param;
+  }
+
+  serialize(q) {
+    if (isEmpty(q.node)) {
+      return {};
+    }
+    return { [this.param]: this._toString(q.node, null) };
+  }
+
+  _toString(node, parentOp) {
+    if (isCondition(node)) {
+      return serializeRsqlCondition(node);
+    }
+    if (node.op === 'not') {
+      return this._toString(negate(node.child), parentOp);
+    }
+    const result = node.children.
+      map((child) => this._toString(child, node.op)).
+      join(node.op === 'and' ? ';' : ',');
+    // 'and' binds tighter than 'or', so only 'or' inside 'and' needs parens
+    return node.op === 'or' && parentOp === 'and' ? `(${result})` : result;
+  }
+}
+
+function serializeRsqlCondition({ field, op, value }) {
+  const symbols = { eq: '==', ne: '!=', gt: '=gt=', gte: '=ge=',
+                    lt: '=lt=', lte: '=le=', in: '=in=', out: '=out=' };
+  if (op === 'between') {
+    // ';' binds tighter than ',', so this needs no parentheses
+    const [ min, max ] = value;
+    return `${field}=ge=${quote(min)};${field}=le=${quote(max)}`;
+  }
+  if (op === 'in' || op === 'out') {
+    return `${field}${symbols[op]}(${value.map(quote).join(',')})`;
+  }
+  return `${field}${symbols[op]}${quote(value)}`;
+}
+
+function quote(value) {
+  // RSQL needs quotes around values with reserved characters
+  const string = String(value);
+  if (/^[^\s"'();,=!~<>]+$/.test(string)) {
+    return string;
+  }
+  return `"${string.replace(/(["\\])/g, '\\$1')}"`;
+}
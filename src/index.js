@@ -1,8 +1,37 @@
 export { JsonApi } from './apis';
 export { Resource } from './resources';
+export { AxiosTransport, FetchTransport } from './transports';
+export { RetryPolicy } from './retries';
+export { GetBatcher } from './batching';
+export { AtomicTransaction } from './atomic';
+export { MemoryStorage, ResponseCache } from './caching';
+export {
+  CursorPaginator,
+  OffsetPaginator,
+  PageNumberPaginator,
+} from './paginators';
+export { belongsTo, hasMany } from './schemas';
+export { LazyIterator } from './iterators';
+export {
+  CommaFilters,
+  JsonFilters,
+  NestedFilters,
+  Q,
+  RsqlFilters,
+  and,
+  not,
+  or,
+} from './filters';
+export { ClientCredentialsAuth, RefreshTokenAuth } from './auth';
 export {
   JsonApiException,
   NotSingleItem,
   DoesNotExist,
   MultipleObjectsReturned,
+  TransportError,
+  RequestCancelled,
+  RequestTimeout,
+  ValidationError,
+  PartialSaveError,
+  ConflictError,
 } from './errors';
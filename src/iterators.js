@@ -0,0 +1,167 @@
+export class LazyIterator {
+  /*  A lazy, chainable async iterator. `Collection.all()` returns one, so
+    * that you can transform the items of a paginated collection without
+    * writing `for await` loops yourself:
+    *
+    *   const names = await familyApi.Child.list().all().
+    *     filter((child) => child.get('age') > 5).
+    *     map((child) => child.get('name')).
+    *     take(10).
+    *     toArray();
+    *
+    * Nothing is fetched until the result is iterated or one of the methods
+    * that return promises (`toArray()`, `reduce()`, `forEach()`) is awaited,
+    * and pages stop being fetched as soon as enough items have been
+    * consumed. 'source' is a function that returns a fresh async iterable,
+    * so that the result can be iterated more than once.
+    *
+    * It is also an async iterator itself, so `.next()` and `.return()` can
+    * be called directly, like on an async generator. Once they have been
+    * called, the result keeps iterating from where they left off:
+    *
+    *   const children = familyApi.Child.list().all();
+    *   const { value: first } = await children.next();
+    * */
+
+  constructor(source) {
+    this._source = source;
+    this._iterator = null;
+  }
+
+  [Symbol.asyncIterator]() {
+    return this._iterator || this._source()[Symbol.asyncIterator]();
+  }
+
+  _getIterator() {
+    if (! this._iterator) {
+      this._iterator = this._source()[Symbol.asyncIterator]();
+    }
+    return this._iterator;
+  }
+
+  next(...args) {
+    return this._getIterator().next(...args);
+  }
+
+  async return(value) {
+    const iterator = this._getIterator();
+    return iterator.return ? iterator.return(value) : { value, done: true };
+  }
+
+  async throw(error) {
+    const iterator = this._getIterator();
+    if (! iterator.throw) {
+      throw error;
+    }
+    return iterator.throw(error);
+  }
+
+  _chain(generator) {
+    return new this.constructor(() => generator(this));
+  }
+
+  map(callback) {
+    // The callback can be async, it is called with the item and its index
+    return this._chain(async function * (items) {
+      let index = 0;
+      for await (const item of items) {
+        yield await callback(item, index++);
+      }
+    });
+  }
+
+  filter(callback) {
+    return this._chain(async function * (items) {
+      let index = 0;
+      for await (const item of items) {
+        if (await callback(item, index++)) {
+          yield item;
+        }
+      }
+    });
+  }
+
+  take(count) {
+    // Stop after 'count' items, without asking for the next one
+    return this._chain(async function * (items) {
+      if (count <= 0) {
+        return;
+      }
+      let taken = 0;
+      for await (const item of items) {
+        yield item;
+        if (++taken >= count) {
+          return;
+        }
+      }
+    });
+  }
+
+  chunk(size) {
+    // Yield lists of 'size' items, the last one may be shorter
+    if (! (size >= 1)) {
+      throw new Error(`Chunk size must be at least 1, not ${size}`);
+    }
+    return this._chain(async function * (items) {
+      let chunk = [];
+      for await (const item of items) {
+        chunk.push(item);
+        if (chunk.length >= size) {
+          yield chunk;
+          chunk = [];
+        }
+      }
+      if (chunk.length > 0) {
+        yield chunk;
+      }
+    });
+  }
+
+  async toArray({ max = Infinity } = {}) {
+    // Collect the items in a list, at most 'max' of them
+    const result = [];
+    for await (const item of this.take(max)) {
+      result.push(item);
+    }
+    return result;
+  }
+
+  async reduce(callback, initial) {
+    let result = initial;
+    let index = 0;
+    for await (const item of this) {
+      result = await callback(result, item, index++);
+    }
+    return result;
+  }
+
+  async forEach(callback, { concurrency = 1 } = {}) {
+    /*  Call 'callback' for every item. If it is async, up to 'concurrency'
+      * calls will be in flight at the same time; the next item is not pulled
+      * (and the next page is not fetched) until one of them finishes. If a
+      * call fails, iteration stops and the error is thrown once the calls in
+      * flight have settled. */
+
+    const running = new Set();
+    let failure = null;
+    let index = 0;
+    for await (const item of this) {
+      const promise = (async () => callback(item, index++))().
+        catch((error) => {
+          failure = failure || { error };
+        }).
+        finally(() => running.delete(promise));
+      running.add(promise);
+      if (running.size >= concurrency) {
+        await Promise.race(running);
+      }
+      if (failure) {
+        break;
+      }
+    }
+    await Promise.all(running);
+    if (failure) {
+      throw failure.error;
+    }
+  }
+}
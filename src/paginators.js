@@ -0,0 +1,228 @@
+import _ from 'lodash';
+
+import { getQueryParams } from './utils';
+
+export class CursorPaginator {
+  /*  Pagination strategies decide how a collection gets to arbitrary pages
+    * and how its total count is found. Set them on Resource subclasses:
+    *
+    *   class Child extends Resource {
+    *     static name = 'Child';
+    *     static TYPE = 'children';
+    *     static PAGINATOR = new PageNumberPaginator({ size: 20 });
+    *   }
+    *
+    * `CursorPaginator` is the default. It only relies on the pagination
+    * links of the responses, so getting to page N means following 'next' N -
+    * 1 times; 'maxPages' stops that if the 'next' links never end. All
+    * strategies read the total count from the response's top-level 'meta',
+    * from the first of 'countPath' that is set. Shortcuts like
+    * `collection.first()` only ask for a single item with the page size
+    * parameter, 'sizeParam' ('page[size]' by default, like the {json:api}
+    * cursor pagination profile); set it to null if the server doesn't accept
+    * one and a whole page will be fetched instead. Set 'pageSize' to fetch
+    * pages of that size. */
+
+  constructor({ countPath = [ 'total', 'count', 'page.total' ],
+                maxPages = Infinity,
+                sizeParam = 'page[size]',
+                pageSize = null } = {}) {
+    this.countPath = _.castArray(countPath);
+    this.maxPages = maxPages;
+    this.sizeParam = sizeParam;
+    this.pageSize = pageSize;
+  }
+
+  getSizeParams(size) {
+    // The GET parameters that limit a page to 'size' items, if there are any
+    return this.sizeParam ? { [this.sizeParam]: size } : {};
+  }
+
+  getListParams() {
+    /*  The GET parameters of a new collection (see `Resource.list()`). If a
+      * page size is set, the first page is fetched with it, like the pages
+      * whose parameters are computed. */
+
+    return this.pageSize ? this.getSizeParams(this.pageSize) : {};
+  }
+
+  getCount(collection) {
+    // Return the total count from the collection's meta or null
+    for (const path of this.countPath) {
+      const count = _.get(collection.meta, path);
+      if (! _.isNil(count) && _.isFinite(Number(count))) {
+        return Number(count);
+      }
+    }
+    return null;
+  }
+
+  async getPage(collection, number, options = {}) {
+    if (number < 1 || number > this.maxPages) {
+      return null;
+    }
+    let page = await collection.getFirst(options);
+    for (let i = 1; i < number; i++) {
+      if (! page.hasNext) {
+        return null;
+      }
+      page = await page.getNext(options);
+    }
+    return page;
+  }
+
+  async getLast(collection, options = {}) {
+    let page = await collection.getFirst(options);
+    for (let i = 1; page.hasNext; i++) {
+      if (i >= this.maxPages) {
+        throw new Error(`Gave up looking for the last page after ${i} pages`);
+      }
+      page = await page.getNext(options);
+    }
+    return page;
+  }
+
+  async count(collection, options = {}) {
+    // Without a count in 'meta', the only way is to go through all the pages
+    await collection.fetch(options);
+    const count = this.getCount(collection);
+    if (count !== null) {
+      return count;
+    }
+    let result = 0;
+    for await (const page of collection.allPages(options)) {
+      result += page.data.length;
+    }
+    return result;
+  }
+}
+
+class NumberedPaginator extends CursorPaginator {
+  // Base for strategies that can compute the parameters for page N
+
+  getPageCount(collection) {
+    /*  Return the number of pages, if the count and the page size are known
+      * and the collection was fetched with that page size, so that its pages
+      * line up with the ones we compute. Pages can then be fetched in
+      * parallel (see `Collection.allPages()`), which cursors can't do. */
+
+    if (this._getPageSize(collection) !== this.pageSize) {
+      return null;
+    }
+    return this._countPages(collection);
+  }
+
+  _countPages(collection) {
+    const count = this.getCount(collection);
+    if (! this.pageSize || count === null) {
+      return null;
+    }
+    return Math.max(Math.ceil(count / this.pageSize), 1);
+  }
+
+  _getPageSize(collection) {
+    // The page size that 'collection' was fetched with, null if unknown
+    const params = getQueryParams(collection._url, collection._params);
+    const size = Number(params[this.sizeParam]);
+    return _.isInteger(size) && size > 0 ? size : null;
+  }
+
+  async getPage(collection, number, options = {}) {
+    if (number < 1) {
+      return null;
+    }
+    const page = collection.extra(this._getParams(number));
+    await page.fetch(options);
+    return page;
+  }
+
+  async getLast(collection, options = {}) {
+    // Without a 'last' link, we can compute it if we know the count
+    await collection.fetch(options);
+    const pageCount = this._countPages(collection);
+    if (pageCount !== null) {
+      return this.getPage(collection, pageCount, options);
+    }
+    return super.getLast(collection, options);
+  }
+
+  async count(collection, options = {}) {
+    /*  If there is no count in 'meta' but there is a 'last' link, the count
+      * is the offset of the last page plus its length. The page size is
+      * known from the parameters of the last or the first page or, failing
+      * that, from the length of the (full) first page. */
+
+    await collection.fetch(options);
+    if (this.getCount(collection) === null &&
+        collection.hasNext &&
+        collection.links.last) {
+      const last = await collection.getLast(options);
+      const offset = this._getOffset(last,
+                                     this._getPageSize(last) ||
+                                       this._getPageSize(collection) ||
+                                       collection.data.length);
+      if (offset !== null) {
+        return offset + last.data.length;
+      }
+    }
+    return super.count(collection, options);
+  }
+}
+
+export class PageNumberPaginator extends NumberedPaginator {
+  /*  For servers that paginate with page numbers, by default
+    * '?page[number]=3&page[size]=20'. If 'size' is not set, the page size
+    * parameter is not sent and the server's default is used. */
+
+  constructor({ numberParam = 'page[number]',
+                sizeParam = 'page[size]',
+                size = null,
+                ...props } = {}) {
+    super({ pageSize: size, sizeParam, ...props });
+    this.numberParam = numberParam;
+  }
+
+  _getParams(number) {
+    return { [this.numberParam]: number, ...this.getListParams() };
+  }
+
+  _getOffset(page, pageSize) {
+    const params = getQueryParams(page._url, page._params);
+    const number = Number(params[this.numberParam]);
+    return _.isInteger(number) && number > 0 ? (number - 1) * pageSize : null;
+  }
+}
+
+export class OffsetPaginator extends NumberedPaginator {
+  /*  For servers that paginate with offsets, by default
+    * '?page[offset]=40&page[limit]=20'. The 'limit' is needed in order to
+    * compute the offset of page N. */
+
+  constructor({ offsetParam = 'page[offset]',
+                limitParam = 'page[limit]',
+                limit = null,
+                ...props } = {}) {
+    super({ pageSize: limit, sizeParam: limitParam, ...props });
+    this.offsetParam = offsetParam;
+  }
+
+  async getPage(collection, number, options = {}) {
+    if (! this.pageSize) {
+      throw new Error(
+        'OffsetPaginator needs a limit to get pages by number',
+      );
+    }
+    return super.getPage(collection, number, options);
+  }
+
+  _getParams(number) {
+    return { [this.offsetParam]: (number - 1) * this.pageSize,
+             ...this.getSizeParams(this.pageSize) };
+  }
+
+  _getOffset(page) {
+    const params = getQueryParams(page._url, page._params);
+    const offset = Number(params[this.offsetParam]);
+    return _.isInteger(offset) && offset >= 0 ? offset : null;
+  }
+}
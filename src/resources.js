@@ -1,10 +1,52 @@
 import _ from 'lodash';
-import axios from 'axios';
 
-import { hasData, hasLinks, isList, isNull, isObject, isPluralFetched,
-         isResource, isResourceIdentifier, isSingularFetched } from './utils';
+import { ConflictError, PartialSaveError,
+         ValidationError } from './errors';
+import { deserialize, getDefaults, getReadOnlyFields, normalizeRelated,
+         serialize, validate } from './schemas';
+import { getFieldsParams, getFieldsets, getHeader, hasData, hasLinks, isList,
+         isNull, isObject, isPluralFetched, isResource, isResourceIdentifier,
+         isSingularFetched } from './utils';
+import { linkResources, resolveDocument } from './documents';
 import { Collection } from './collections';
 
+let lastLid = 0;
+
+function generateLid() {
+  lastLid++;
+  return `lid-${lastLid}`;
+}
+
+function toIdentifier(data) {
+  return _.pick(data, [ 'type', 'id', 'lid' ]);
+}
+
+function replaceLid(data, { type, lid, id }) {
+  // Replace '{ type, lid }' with '{ type, id }' in relationship data
+  if (isList(data)) {
+    return data.map((item) => replaceLid(item, { type, lid, id }));
+  }
+  if (data && data.type === type && data.lid === lid && ! data.id) {
+    return { type, id };
+  }
+  return data;
+}
+
+function refersTo(resource, { type, id, lid }) {
+  // Whether any relationship of 'resource' points to '{ type, id, lid }'
+  return _.some(resource.relationships, (relationship) => {
+    if (! hasData(relationship)) {
+      return false;
+    }
+    const data = isList(relationship.data) ?
+      relationship.data :
+      [ relationship.data ];
+    return _.some(data, (item) => (
+      item && item.type === type && (id ? item.id === id : item.lid === lid)
+    ));
+  });
+}
+
 export class Resource {
   /*  Subclass like this:
     *
@@ -28,16 +70,135 @@ export class Resource {
     *       // ...
     *     }
     *     FamilyApi.register();
+    *
+    * Resource instances remember the last state they received from the
+    * server, so that they can tell which fields have been changed locally
+    * since (see `.changedFields()`). `.save()` will only send those fields to
+    * the server, unless told otherwise.
+    *
+    * Subclasses can declare the types of their attributes with 'SCHEMA':
+    *
+    *     class Child extends Resource {
+    *       static name = 'Child';
+    *       static TYPE = 'children';
+    *       static SCHEMA = {
+    *         name: { type: 'string', required: true },
+    *         age: { type: Number, default: 0 },
+    *         birthday: Date,
+    *         gender: { type: 'enum', values: ['male', 'female', 'other'] },
+    *         address: { type: 'object', schema: { city: 'string' } },
+    *         created: { type: Date, readOnly: true },
+    *       };
+    *     }
+    *
+    * Types can be 'string', 'number', 'boolean', 'date', 'enum', 'object'
+    * and 'any', or the respective constructors. Declared attributes are
+    * converted from their {json:api} representation when received (eg ISO
+    * strings become `Date` objects) and back when saved. Declared attributes
+    * are always treated as attributes, even if their values look like
+    * relationships. 'default' values (or callables that return them) are
+    * applied to new resources. Read-only attributes are never sent to the
+    * server. `.save()` and `.create()` call `.validate()` first.
+    *
+    * Relationships can be declared with 'RELATIONSHIPS':
+    *
+    *     class Child extends Resource {
+    *       static name = 'Child';
+    *       static TYPE = 'children';
+    *       static RELATIONSHIPS = {
+    *         parent: belongsTo('parents', { inverse: 'children' }),
+    *         pets: hasMany(['dogs', 'cats']),
+    *       };
+    *     }
+    *
+    * Declared relationships are always treated as relationships. They can be
+    * set with bare ids (if they point to a single type) and plural ones can
+    * be set to empty lists. Setting a resource of a type that is not allowed
+    * throws an error.
+    *
+    * New resources get a local id, 'lid', which is used instead of the id in
+    * their resource identifiers until the server assigns one, so that other
+    * new resources can point to them (see `.asResourceIdentifier()`).
+    *
+    * The 'ETag' header of the responses to `.reload()` and `.save()` is kept
+    * in 'etag' and sent back as 'If-Match' when the resource is saved or
+    * deleted, so that the server can refuse to overwrite changes made by
+    * someone else (see `ConflictError`). If your server puts a version number
+    * in the resource's meta instead, name the meta field in 'VERSION_META':
+    *
+    *     class Child extends Resource {
+    *       static TYPE = 'children';
+    *       static VERSION_META = 'version';
+    *     }
     */
 
+  static SCHEMA = null;
+
+  static PAGINATOR = null;
+
+  static RELATIONSHIPS = null;
+
+  static VERSION_META = null;
+
   constructor(data = {}) {
+    // Non-enumerable, so that it doesn't affect comparisons and serialization
+    Object.defineProperty(this, '_serverState', { writable: true,
+                                                  value: null });
+    // The fields that were requested with a sparse fieldset, if any
+    Object.defineProperty(this, '_fieldset', { writable: true,
+                                               value: null });
+    // The fields left out by the fieldset that have already been warned about
+    Object.defineProperty(this, '_warned', { value: new Set() });
+    Object.defineProperty(this, 'lid', { writable: true, value: null });
+    Object.defineProperty(this, 'etag', { writable: true, value: null });
+    // The resources that point to this one while it's new
+    Object.defineProperty(this, '_referrers', { value: new Set() });
     this._overwrite(data);
+    // Fields supplied by the client are changes, even if the resource has an
+    // Id. Data from the server goes through `JsonApi.new()`, which marks the
+    // Instance as clean
+    this._serverState = { attributes: {}, relationships: {} };
+    if (! this.id) {
+      this.lid = this.lid || generateLid();
+      this._applyDefaults();
+    }
+  }
+
+  _trackReferrer(referrer) {
+    if (! this.id) {
+      this._referrers.add(referrer);
+    }
+  }
+
+  _replaceLid() {
+    /*  The server has assigned an id to this (previously new) resource,
+      * replace the lid in the relationships of all the resources that point
+      * to it. */
+
+    const replacement = { type: this.constructor.TYPE,
+                          lid: this.lid,
+                          id: this.id };
+    for (const referrer of this._referrers) {
+      for (const name in referrer.relationships) {
+        const relationship = referrer.relationships[name];
+        if (hasData(relationship)) {
+          relationship.data = replaceLid(relationship.data, replacement);
+        }
+      }
+      const server = referrer._serverState.relationships;
+      for (const name in server) {
+        server[name] = replaceLid(server[name], replacement);
+      }
+    }
+    this._referrers.clear();
   }
 
   _overwrite({ id = null,
+               lid = null,
                attributes = {},
                relationships = {},
                links = {},
+               meta = {},
                redirect = null,
                type = null,
                included = [],
@@ -65,6 +226,9 @@ export class Resource {
       *       parent: { data: { type: 'parents', id: '2' } },
       *     });
       *
+      * The resource object's 'meta' is kept in `this.meta` and relationships'
+      * 'meta' in `this.relationships[name].meta`.
+      *
       * Also, for relationships you can use other Resource objects:
       *
       *     const parent = new api.Parent({ id: '2' });
@@ -77,9 +241,17 @@ export class Resource {
       );
     }
 
+    const schema = this.constructor.SCHEMA || {};
+    const declarations = this.constructor.RELATIONSHIPS || {};
     for (const key in props) {
       const value = props[key];
-      if (
+      if (key in schema) {
+        attributes[key] = value;
+      }
+      else if (key in declarations) {
+        relationships[key] = value;
+      }
+      else if (
         // Parent: { type: 'parents', id: '1' }
         isResourceIdentifier(value) ||
 
@@ -120,22 +292,103 @@ export class Resource {
     }
 
     this.id = id;
-    this.attributes = attributes;
+    if (lid) {
+      this.lid = lid;
+    }
+    this.attributes = deserialize(schema, attributes);
     this.links = links;
+    this.meta = meta;
     this.redirect = redirect;
 
     this.relationships = _.pickBy(this.relationships,
                                   (value, key) => key in relationships);
     this.related = _.pickBy(this.related,
                             (value, key) => key in relationships);
-    const includedMap = {};
-    for (const includedItem of included) {
-      const key = `${includedItem.type}__${includedItem.id}`;
-      includedMap[key] = this.constructor.API.asResource(includedItem);
-    }
     for (const key in relationships) {
-      const value = relationships[key];
-      this._setRelated(key, value, includedMap);
+      let value = relationships[key];
+      if (key in declarations) {
+        value = normalizeRelated(declarations[key], key, value);
+      }
+      this._setRelated(key, value);
+    }
+    if (included.length > 0) {
+      linkResources([
+        this,
+        ...included.map((item) => this.constructor.API.asResource(item)),
+      ]);
+    }
+
+    // Unsaved resources have no server state, all their fields are changes
+    this._serverState = this.id ?
+      this._snapshot() :
+      { attributes: {}, relationships: {} };
+  }
+
+  _applyDefaults() {
+    const defaults = getDefaults(this.constructor.SCHEMA);
+    for (const field in defaults) {
+      if (_.isUndefined(this.attributes[field])) {
+        this.attributes[field] = defaults[field];
+      }
+    }
+  }
+
+  _snapshot() {
+    const relationships = {};
+    for (const name in this.relationships) {
+      const relationship = this.relationships[name];
+      if (isNull(relationship)) {
+        relationships[name] = null;
+      }
+      else if (hasData(relationship)) {
+        relationships[name] = _.cloneDeep(relationship.data);
+      }
+    }
+    return { attributes: _.cloneDeep(this.attributes), relationships };
+  }
+
+  _merge({ id = null,
+           lid = null,
+           attributes = {},
+           relationships = {},
+           links = {},
+           meta = {},
+           type = null,
+           included = [],
+           ...props }) {
+    /*  Merge fresh data from the server into an instance that is already
+      * known, used by the identity map. Unlike `_overwrite`, fields that are
+      * missing from the new data are kept. Resource identifiers carry no new
+      * information, so they are ignored. */
+
+    if (_.size(attributes) === 0 &&
+        _.size(relationships) === 0 &&
+        _.size(links) === 0 &&
+        _.size(meta) === 0 &&
+        _.size(included) === 0 &&
+        _.size(props) === 0) {
+      return;
+    }
+    const localChanges = {};
+    for (const field of this.changedFields()) {
+      localChanges[field] = this.get(field);
+    }
+    this._overwrite({
+      id: id || this.id,
+      lid: lid || this.lid,
+      type,
+      included,
+      // Local changes are applied again below, on top of the new server state
+      attributes: { ..._.cloneDeep(this._serverState.attributes),
+                    ...attributes },
+      relationships: { ...this.relationships, ...relationships },
+      links: { ...this.links, ...links },
+      meta: { ...this.meta, ...meta },
+      redirect: this.redirect,
+      ...props,
+    });
+    for (const field in localChanges) {
+      this.set(field, localChanges[field]);
     }
   }
 
@@ -143,20 +396,26 @@ export class Resource {
     if (! includedMap) {
       includedMap = {};
     }
-    if (! value) {
+    if (! value || (isObject(value) && hasData(value) && value.data === null)) {
+      // Empty singular relationship, eg '{ data: null }'
       this.relationships[relationshipName] = null;
       this.related[relationshipName] = null;
     }
     else if (
       isList(value) ||
       (isObject(value) && isList(value.data)) ||
-      (isObject(value) && hasLinks(value) && ! hasData(value))
+      (isObject(value) &&
+       (hasLinks(value) || 'meta' in value) &&
+       ! hasData(value))
     ) {
       this.relationships[relationshipName] = {};
       const relationship = this.relationships[relationshipName];
       if (isObject(value) && hasLinks(value)) {
         relationship.links = value.links;
       }
+      if (isObject(value) && 'meta' in value) {
+        relationship.meta = value.meta;
+      }
       if (hasData(value)) {
         value = value.data;
       }
@@ -164,6 +423,7 @@ export class Resource {
         let datas = [], resources = [];
         for (const item of value) {
           const resource = this.constructor.API.asResource(item);
+          resource._trackReferrer(this);
           const data = resource.asResourceIdentifier();
           datas.push(data);
           const key = `${data.type}__${data.id}`;
@@ -199,23 +459,21 @@ export class Resource {
       }
     }
     else {
-      let resource, data, links = null;
-      if (isObject(value)) {
-        if (hasData(value)) {
-          data = value.data;
-          if ('links' in value) {
-            links = value.links;
-          }
-        }
-        else {
-          data = value;
-        }
-        resource = this.constructor.API.new(data);
+      let resource, data, links = null, meta = null;
+      if (isObject(value) && hasData(value)) {
+        links = value.links || null;
+        meta = value.meta || null;
+        value = value.data;
       }
-      else if (isResource(value)) {
+      if (isResource(value)) {
         resource = value;
+        resource._trackReferrer(this);
         data = resource.asResourceIdentifier();
       }
+      else if (isObject(value)) {
+        data = value;
+        resource = this.constructor.API.new(data);
+      }
       else {
         throw new Error(`Cannot set relationship '${relationshipName}'`);
       }
@@ -228,6 +486,9 @@ export class Resource {
       if (links) {
         this.relationships[relationshipName].links = links;
       }
+      if (meta) {
+        this.relationships[relationshipName].meta = meta;
+      }
 
       if (
         (this.related[relationshipName] || {}).id !== resource.id ||
@@ -249,8 +510,20 @@ export class Resource {
       *   child.get('parents');
       *   // equivalent to
       *   child.related.parents;
+      *
+      * If the resource was fetched with a sparse fieldset that left 'key' out,
+      * a warning is issued (once per field), since the result will be
+      * undefined regardless of the server's data. Use `.load()` instead to
+      * fetch it.
       * */
 
+    if (! this.isLoaded(key) && ! this._warned.has(key)) {
+      this._warned.add(key);
+      console.warn(
+        `'${key}' was left out of ${this.constructor.TYPE} '${this.id}' by ` +
+        'a sparse fieldset, use `.load()` to fetch it',
+      );
+    }
     if (key in this.related) {
       return this.related[key];
     }
@@ -259,6 +532,43 @@ export class Resource {
     }
   }
 
+  isLoaded(field) {
+    /*  Return whether 'field' was fetched, ie false only if the resource was
+      * fetched with a sparse fieldset that left it out. */
+
+    return (isNull(this._fieldset) ||
+            this._fieldset.includes(field) ||
+            field in this.attributes ||
+            field in this.relationships);
+  }
+
+  async load(field, options = {}) {
+    /*  Like `.get()`, but if 'field' was left out by a sparse fieldset, fetch
+      * it from the server first. Local changes to other fields are kept:
+      *
+      *   const child = await familyApi.Child.get('1', { fields: ['name'] });
+      *   const age = await child.load('age');
+      *
+      * will send:
+      *
+      *   GET /children/1?fields[children]=name
+      *   GET /children/1?fields[children]=age
+      * */
+
+    if (! this.isLoaded(field)) {
+      const response = await this.constructor.API.request({
+        method: 'get',
+        url: this.getItemUrl(),
+        params: getFieldsParams(this.constructor.TYPE, [ field ]),
+        ...options,
+      });
+      const fieldset = this._fieldset;
+      this._merge(response.data.data);
+      this._fieldset = _.union(fieldset, [ field ]);
+    }
+    return this.get(field);
+  }
+
   set(key, value) {
     /*  Preferred way to set attributes and relationsihps:
       *
@@ -270,46 +580,204 @@ export class Resource {
       *   // equivalent to
       *   child.related.parent = parent;
       *   child.relationships.parent = parent.asRelationship();
+      *
+      * Declared relationships (see 'RELATIONSHIPS') can be set even if they
+      * were not part of the data the resource was created with, and accept
+      * bare ids:
+      *
+      *   child.set('parent', '2');
+      *   child.set('pets', []);
+      *
+      * If a singular relationship has an 'inverse' and the resources on the
+      * other side have already fetched it, they are updated too, so that
+      * `parent.get('children').data` reflects the change. Only the fetched
+      * data is updated, their relationships are left to the server.
       * */
 
-    if (key in this.relationships) {
+    const declaration = (this.constructor.RELATIONSHIPS || {})[key];
+    if (declaration) {
+      const previous = this.related[key];
+      this._setRelated(key, normalizeRelated(declaration, key, value));
+      if (isResource(this.related[key])) {
+        this.relationships[key] = this.related[key].asRelationship();
+      }
+      if (! declaration.many && declaration.inverse) {
+        this._syncInverse(declaration.inverse, previous, this.related[key]);
+      }
+    }
+    else if (key in this.relationships) {
       this._setRelated(key, value);
-      this.relationships[key] = this.related[key].asRelationship();
+      if (isResource(this.related[key])) {
+        this.relationships[key] = this.related[key].asRelationship();
+      }
     }
     else {
-      this.attributes[key] = value;
+      this.attributes[key] = deserialize(this.constructor.SCHEMA,
+                                         { [key]: value })[key];
     }
   }
 
-  async reload(include = null) {
-    // Fetch fresh data from the server for the object.
+  _syncInverse(inverse, previous, next) {
+    if (previous === next) {
+      return;
+    }
+    const isThis = (item) => (
+      item === this ||
+      (!! this.id &&
+       item.id === this.id &&
+       item.constructor.TYPE === this.constructor.TYPE)
+    );
+    const previousItems = _.get(previous, `related.${inverse}`);
+    if (isPluralFetched(previousItems) && isList(previousItems.data)) {
+      previousItems.data = _.reject(previousItems.data, isThis);
+    }
+    const nextItems = _.get(next, `related.${inverse}`);
+    if (isPluralFetched(nextItems) &&
+        isList(nextItems.data) &&
+        ! _.some(nextItems.data, isThis)) {
+      nextItems.data = [ ...nextItems.data, this ];
+    }
+  }
+
+  validate(fields = null) {
+    /*  Check the attributes against the 'SCHEMA' and throw a
+      * `ValidationError` if they don't match. If 'fields' is set, only those
+      * fields will be checked:
+      *
+      *   const child = new familyApi.Child({ age: 'old' });
+      *   try {
+      *     child.validate();
+      *   }
+      *   catch (e) {
+      *     console.log(e.errors);
+      *     // <<< { name: ['is required'], age: ['must be a number'] }
+      *   }
+      * */
+
+    const errors = validate(this.constructor.SCHEMA, this.attributes, fields);
+    if (_.size(errors) > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+
+  changedFields() {
+    /*  Return the names of the attributes and relationships that have been
+      * changed since the last time the resource was fetched from or saved to
+      * the server:
+      *
+      *   const child = await familyApi.Child.get('1');
+      *   child.set('name', 'Bill');
+      *   child.changedFields();
+      *   // <<< ['name']
+      * */
 
+    return _.keys(this.changes());
+  }
+
+  changes() {
+    /*  Like `.changedFields()`, but also returns the old and new values. For
+      * relationships, the values are resource identifiers:
+      *
+      *   child.changes();
+      *   // <<< { name: { old: 'Hercules', new: 'Bill' },
+      *   // ...   parent: { old: { type: 'parents', id: '1' },
+      *   // ...             new: { type: 'parents', id: '2' } } }
+      * */
+
+    const current = this._snapshot();
+    const server = this._serverState;
+    const result = {};
+    for (const kind of [ 'attributes', 'relationships' ]) {
+      for (const field in current[kind]) {
+        if (! (field in server[kind]) ||
+            ! _.isEqual(current[kind][field], server[kind][field])) {
+          result[field] = { old: _.cloneDeep(server[kind][field]),
+                            new: current[kind][field] };
+        }
+      }
+    }
+    return result;
+  }
+
+  isDirty() {
+    return this.changedFields().length > 0;
+  }
+
+  revert() {
+    /*  Undo local changes, restoring the attributes and relationships to the
+      * last state that was received from the server. */
+
+    const server = this._serverState;
+    this.attributes = _.cloneDeep(server.attributes);
+    // Relationships that were set locally since are dropped
+    for (const name in this._snapshot().relationships) {
+      if (! (name in server.relationships)) {
+        delete this.relationships[name];
+        delete this.related[name];
+      }
+    }
+    for (const name in server.relationships) {
+      const data = server.relationships[name];
+      if (! _.isEqual(data, _.get(this.relationships[name], 'data', null))) {
+        this._setRelated(name, _.cloneDeep(data));
+      }
+    }
+    this._serverState = this._snapshot();
+  }
+
+  rollback() {
+    // Alias of `.revert()`
+    this.revert();
+  }
+
+  async reload(include = null, { fields = null, ...options } = {}) {
+    /*  Fetch fresh data from the server for the object. 'options' are
+      * forwarded to `JsonApi.request()`, so you can pass a 'signal' and a
+      * 'timeout':
+      *
+      *   const controller = new AbortController();
+      *   await child.reload(['parent'], { signal: controller.signal });
+      *
+      * The 'fields' option sets sparse fieldsets, like `Collection.fields()`:
+      *
+      *   await child.reload(['parent'], {
+      *     fields: { children: ['name'], parents: ['name'] },
+      *   });
+      * */
+
+    const params = {
+      ...include && { include: include.join(',') },
+      ...getFieldsParams(this.constructor.TYPE, fields),
+    };
     const response = await this.constructor.API.request({
       method: 'get',
       url: this.getItemUrl(),
-      params: include ? { include: include.join(',') } : null,
+      params: _.isEmpty(params) ? null : params,
+      ...options,
     });
-    if (response.status >= 300 &&
-        response.status < 400 &&
-        response.headers.Location) {
+    const location = getHeader(response.headers, 'Location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      const serverState = this._serverState;
       this._overwrite({
         id: this.id,
         attributes: this.attributes,
         relationships: { ...this.relationships, ...this.related },
         links: this.links,
-        redirect: response.headers.Location,
+        meta: this.meta,
+        redirect: location,
       });
+      this._serverState = serverState;
       return;
     }
-    const body = response.data;
-    const data = response.data.data;
-    if ('included' in body) {
-      data.included = body.included;
-    }
-    this._overwrite(data);
+    resolveDocument(this.constructor.API, response.data, {
+      target: this,
+      fieldsets: getFieldsets(null, params),
+    });
+    this.etag = getHeader(response.headers, 'ETag') || null;
   }
 
-  static async get(arg = null, { include = null } = {}) {
+  static async get(arg = null,
+                   { include = null, fields = null, ...options } = {}) {
     /*
       * Get an item by its id:
       *
@@ -340,6 +808,20 @@ export class Resource {
       * will send
       *
       *   GET /children?filter[name]=Bill&include=parent
+      *
+      * A 'fields' property sets sparse fieldsets (see `Collection.fields()`):
+      *
+      *   const child = await familyApi.Child.get('1', { fields: ['name'] });
+      *
+      * will send
+      *
+      *   GET /children/1?fields[children]=name
+      *
+      * The rest of the second argument's properties, like 'signal' and
+      * 'timeout', are forwarded to `JsonApi.request()`.
+      *
+      * If the API connection batches requests (see `GetBatcher`), calls
+      * with only an id are gathered into a single list request.
       * */
 
     if (arg === null || _.isPlainObject(arg)) {
@@ -347,16 +829,22 @@ export class Resource {
       if (include) {
         result = result.include(...include);
       }
-      return result.get(arg);
+      if (fields) {
+        result = result.fields(fields);
+      }
+      return result.get(arg, options);
+    }
+    else if (this.API.batch && ! include && ! fields && _.isEmpty(options)) {
+      return this.API.batch.load(this, arg);
     }
     else {
-      const instance = new this({ id: arg });
-      await instance.reload(include);
+      const instance = this.API.remember(new this({ id: arg }));
+      await instance.reload(include, { fields, ...options });
       return instance;
     }
   }
 
-  async fetch(relationshipName, force = false) {
+  async fetch(relationshipName, force = false, options = {}) {
     /*  Fetches and returns a relationship, if it wasn't included during
       * construction. If the relationship was previously fetched, it will skip
       * the interaction with the server, unless force is set to true.
@@ -380,7 +868,7 @@ export class Resource {
       return related;
     }
     if (_.isObject(relationship.data)) {
-      await related.reload();
+      await related.reload(null, options);
       return related;
     }
     else {
@@ -394,7 +882,7 @@ export class Resource {
     }
   }
 
-  async save(firstArg = null, secondArg = null) {
+  async save(firstArg = null, secondArg = null, options = {}) {
     /*  Save the resource to the server. If the resource has no 'id', a POST
       * request will be saved, otherwise a PATCH request will. The resource's
       * fields will then be populated by the server's response, including a
@@ -404,8 +892,16 @@ export class Resource {
       *   be sent.
       * - The last argument, if present, should be an object with key-value
       *   pairs that will be set on the resource right before saving.
-      * - If no fields are specified by either argument, all the fields in
-      *   'this.attributes' and 'this.relationships' will be sent
+      * - If no fields are specified by either argument, the fields that have
+      *   changed since the resource was last fetched or saved will be sent
+      *   (see `.changedFields()`). If the resource is new, all the fields in
+      *   'this.attributes' and 'this.relationships' will be sent. If it is not
+      *   new and no field has changed, no request will be made at all
+      * - Read-only attributes of the 'SCHEMA' are never sent. The fields that
+      *   are sent are validated first (see `.validate()`)
+      * - If the resource's 'ETag' (or version) is known, it is sent as
+      *   'If-Match'. If the resource was modified on the server in the
+      *   meantime, a `ConflictError` is thrown
       *
       *     const parent = new api.Parent({ name: 'Zeus' });
       *     await parent.save();
@@ -414,6 +910,31 @@ export class Resource {
       *     await parent.save(['age']);
       *     // or
       *     await parent.save({ age: 54 });
+      *
+      * - The third argument, if present, will be forwarded to
+      *   `JsonApi.request()`, so you can pass a 'signal' and a 'timeout':
+      *
+      *     await parent.save(null, null, { signal: controller.signal });
+      *
+      *   A 'meta' option will be sent as the resource object's 'meta':
+      *
+      *     await parent.save(null, null, { meta: { reason: 'typo' } });
+      *
+      *   A 'withRelated' option lists relationships whose new (unsaved)
+      *   resources will be created together with this one:
+      *
+      *     const parent = new api.Parent({ name: 'Zeus' });
+      *     parent.set('children', [ new api.Child({ name: 'Hercules',
+      *                                              parent }) ]);
+      *     await parent.save(null, null, { withRelated: ['children'] });
+      *
+      *   If the connection's 'sideposting' is set (see `JsonApi`), they will
+      *   be sent in a single request as the 'included' resources of a compound
+      *   document, using lids to refer to each other. Otherwise, they will be
+      *   created with separate requests: the related resources that don't
+      *   point back to this one first, then this one, then the rest. If one of
+      *   the requests fails, a `PartialSaveError` will report what was
+      *   created.
       */
     let fields = [], props = {};
     if (firstArg && secondArg) {
@@ -435,73 +956,302 @@ export class Resource {
       fields.push(field);
     }
 
-    if (this.id) {
-      await this._saveExisting(fields);
+    if (options.withRelated) {
+      await this._saveWithRelated(fields, options);
+    }
+    else if (this.id) {
+      await this._saveExisting(fields, options);
     }
     else {
-      await this._saveNew(fields);
+      await this._saveNew(fields, options);
     }
   }
 
-  async _saveExisting(fields = []) {
-    if (fields.length === 0) {
-      for (const field in this.attributes) {
-        fields.push(field);
-      }
-      for (const field in this.related) {
-        fields.push(field);
-      }
+  async _saveExisting(fields = [], { meta = null, ...options } = {}) {
+    const data = this._getDataForUpdate(fields);
+    if (! data) {
+      return;
     }
-
-    const data = { ...this.asResourceIdentifier(),
-                   ...this._generateDataForSaving(fields) };
-    const response = await this.constructor.API.request({
+    if (meta) {
+      data.meta = meta;
+    }
+    const response = await this._conditionalRequest({
       method: 'patch',
       url: this.getItemUrl(),
       data: { data },
+      ...options,
     });
     this._postSave(response);
   }
 
-  async _saveNew(fields = []) {
-    if (fields.length === 0) {
-      for (const field in this.attributes) {
-        fields.push(field);
+  _getIfMatch() {
+    // The resource's 'ETag' or, failing that, its version from the meta
+    if (this.etag) {
+      return this.etag;
+    }
+    const field = this.constructor.VERSION_META;
+    const version = field ? (this.meta || {})[field] : null;
+    return _.isNil(version) ? null : `"${version}"`;
+  }
+
+  async _conditionalRequest({ headers = {}, ...config }) {
+    /*  Send a request that modifies the resource with an 'If-Match' header,
+      * if the resource's version is known. If the server responds with '412
+      * Precondition Failed', fetch its current state and throw a
+      * `ConflictError`. */
+
+    const ifMatch = this._getIfMatch();
+    try {
+      return await this.constructor.API.request({
+        headers: { ...ifMatch && { 'If-Match': ifMatch }, ...headers },
+        ...config,
+      });
+    }
+    catch (e) {
+      if (e.statusCode !== 412 && _.get(e, 'response.status') !== 412) {
+        throw e;
+      }
+      const current = new this.constructor({ id: this.id });
+      try {
+        await current.reload();
       }
-      for (const field in this.related) {
-        fields.push(field);
+      catch (reloadError) {
+        throw new ConflictError(this, null, e);
       }
+      throw new ConflictError(this, current, e);
     }
+  }
 
-    let data = { type: this.constructor.TYPE };
-    if (this.id) {
-      data.id = this.id;
+  async _saveNew(fields = [], { meta = null, ...options } = {}) {
+    const data = this._getDataForCreate(fields);
+    if (meta) {
+      data.meta = meta;
     }
-    Object.assign(data, this._generateDataForSaving(fields));
     const response = await this.constructor.API.request({
       method: 'post',
       url: this.constructor.getCollectionUrl(),
       data: { data },
+      ...options,
     });
     this._postSave(response);
   }
 
+  _getDataForUpdate(fields = []) {
+    // The resource object for a PATCH request, null if nothing has changed
+    if (fields.length === 0) {
+      fields = _.difference(this.changedFields(),
+                            getReadOnlyFields(this.constructor.SCHEMA));
+      if (fields.length === 0) {
+        return null;
+      }
+    }
+    this.validate(fields);
+    return { ...this.asResourceIdentifier(),
+             ...this._generateDataForSaving(fields) };
+  }
+
+  _getDataForCreate(fields = [], withLid = false) {
+    // The resource object for a POST request
+    this._applyDefaults();
+    if (fields.length === 0) {
+      fields = [ ..._.keys(this.attributes), ..._.keys(this.related) ];
+    }
+    this.validate();
+
+    let data = { type: this.constructor.TYPE };
+    if (this.id) {
+      data.id = this.id;
+    }
+    else if (withLid) {
+      data.lid = this.lid;
+    }
+    return Object.assign(data, this._generateDataForSaving(fields));
+  }
+
+  _getNewRelated(withRelated) {
+    // Map the 'withRelated' relationships to their new (unsaved) resources
+    const result = {};
+    for (const field of withRelated) {
+      if (! (field in this.relationships)) {
+        throw new Error(`Unknown relationship '${field}'`);
+      }
+      const related = this.related[field];
+      const items = isResource(related) ?
+        [ related ] :
+        (related || {}).data || [];
+      result[field] = items.filter((item) => isResource(item) && ! item.id);
+    }
+    return result;
+  }
+
+  async _saveWithRelated(fields,
+                         { withRelated,
+                           sideposting = this.constructor.API.sideposting,
+                           ...options },
+                         isNew = ! this.id) {
+    const newRelated = this._getNewRelated(withRelated);
+    if (sideposting) {
+      await this._saveCompound(fields,
+                               _.uniq(_.flatten(_.values(newRelated))),
+                               sideposting,
+                               options,
+                               isNew);
+    }
+    else {
+      await this._saveInOrder(fields, newRelated, options, isNew);
+    }
+  }
+
+  async _saveCompound(fields,
+                      related,
+                      sideposting,
+                      { meta = null, headers = {}, ...options },
+                      isNew) {
+    /*  Send this resource with the new related ones as 'included' resources.
+      * 'sideposting' is either true or the URI of the extension the server
+      * expects, in which case it will be mentioned in the 'Content-Type'.
+      * The resources in the response's 'included' are matched to the new
+      * ones by their lids. */
+
+    const data = isNew ?
+      this._getDataForCreate(fields, true) :
+      this._getDataForUpdate(fields) || this.asResourceIdentifier();
+    if (meta) {
+      data.meta = meta;
+    }
+    const included = related.map((resource) => (
+      resource._getDataForCreate([], true)
+    ));
+    if (_.isString(sideposting)) {
+      headers = {
+        'Content-Type': `application/vnd.api+json;ext="${sideposting}"`,
+        ...headers,
+      };
+    }
+    const request = {
+      method: isNew ? 'post' : 'patch',
+      url: isNew ? this.constructor.getCollectionUrl() : this.getItemUrl(),
+      data: { data, included },
+      headers,
+      ...options,
+    };
+    const response = isNew ?
+      await this.constructor.API.request(request) :
+      await this._conditionalRequest(request);
+    const results = _.get(response, 'data.included') || [];
+    for (const resource of related) {
+      const result = _.find(results, { type: resource.constructor.TYPE,
+                                       lid: resource.lid });
+      if (result) {
+        resource._postSave({ data: { data: result } });
+      }
+    }
+    this._postSave(response);
+  }
+
+  async _saveInOrder(fields, newRelated, options, isNew) {
+    /*  Create the new related resources with separate requests. The ones that
+      * point back to this resource have to wait until it is saved. The
+      * relationships that hold them are left out of this resource's request,
+      * since the server will link them when they are created. */
+
+    const identifier = this.asResourceIdentifier();
+    const related = _.uniq(_.flatten(_.values(newRelated)));
+    const after = related.filter((item) => refersTo(item, identifier));
+    const before = _.difference(related, after);
+    const deferred = _.keys(_.pickBy(newRelated, (items) => (
+      _.intersection(items, after).length > 0
+    )));
+
+    // Fail early, before anything is sent
+    for (const item of isNew ? [ ...related, this ] : related) {
+      item._applyDefaults();
+      item.validate();
+    }
+
+    let saveThis = true;
+    if (deferred.length > 0) {
+      if (fields.length === 0) {
+        fields = isNew ?
+          [ ..._.keys(this.attributes), ..._.keys(this.related) ] :
+          _.difference(this.changedFields(),
+                       getReadOnlyFields(this.constructor.SCHEMA));
+      }
+      fields = _.difference(fields, deferred);
+      saveThis = isNew || fields.length > 0;
+    }
+
+    const queue = [ ...before, ...saveThis ? [ this ] : [], ...after ];
+    const created = [];
+    for (let index = 0; index < queue.length; index++) {
+      const item = queue[index];
+      const itemIsNew = item === this ? isNew : true;
+      try {
+        if (item !== this) {
+          await item._saveNew([], options);
+        }
+        else if (isNew) {
+          await this._saveNew(fields, options);
+        }
+        else {
+          await this._saveExisting(fields, options);
+        }
+      }
+      catch (e) {
+        throw new PartialSaveError(e, created, queue.slice(index));
+      }
+      if (itemIsNew) {
+        created.push(item);
+      }
+    }
+
+    // The server has linked the deferred relationships
+    for (const field of deferred) {
+      this._serverState.relationships[field] = _.cloneDeep(
+        this.relationships[field].data,
+      );
+    }
+  }
+
   _generateDataForSaving(fields) {
     let result = {};
+    const schema = this.constructor.SCHEMA || {};
+    const readOnlyFields = getReadOnlyFields(schema);
     for (const field of fields) {
+      if (readOnlyFields.includes(field)) {
+        continue;
+      }
       if (field in this.attributes) {
         if (! ('attributes' in result)) {
           result.attributes = {};
         }
-        result.attributes[field] = this.attributes[field];
+        result.attributes[field] = serialize(
+          schema, { [field]: this.attributes[field] },
+        )[field];
       }
       else if (field in this.relationships) {
         if (! ('relationships' in result)) {
           result.relationships = {};
         }
-        result.relationships[field] = this.constructor.API.asResource(
-          this.relationships[field],
-        ).asRelationship();
+        const relationship = this.relationships[field];
+        if (isNull(relationship)) {
+          result.relationships[field] = { data: null };
+        }
+        else if (isList(relationship.data)) {
+          result.relationships[field] = {
+            data: relationship.data.map(toIdentifier),
+          };
+        }
+        else if (hasData(relationship)) {
+          result.relationships[field] = {
+            data: toIdentifier(relationship.data),
+          };
+        }
+        else {
+          result.relationships[field] = this.constructor.API.asResource(
+            relationship,
+          ).asRelationship();
+        }
       }
       else {
         throw new Error(`Unknown field '${field}'`);
@@ -512,29 +1262,48 @@ export class Resource {
 
   _postSave(response) {
     const data = response.data.data;
-    let related = { ...this.related };
-    for (const relationshipName in related) {
-      const relatedInstance = related[relationshipName];
-      const oldId = relatedInstance.id;
-      const newId = data.relationships[relationshipName].data.id;
-      if (oldId !== newId) {
-        if (newId) {
-          related[relationshipName] = this.constructor.API.new(
-            data.relationships[relationshipName],
-          );
+    const relationships = data.relationships || {};
+    delete data.relationships;
+    for (const relationshipName in this.relationships) {
+      // Keep the related resources we already have if they haven't changed
+      const relatedInstance = this.related[relationshipName];
+      if (! (relationshipName in relationships)) {
+        if (isResource(relatedInstance)) {
+          relationships[relationshipName] = relatedInstance;
+        }
+        else if (isPluralFetched(relatedInstance) &&
+                 isList(relatedInstance.data)) {
+          relationships[relationshipName] = {
+            ...this.relationships[relationshipName],
+            data: relatedInstance.data,
+          };
         }
         else {
-          delete related[relationshipName];
+          relationships[relationshipName] = this.relationships[
+            relationshipName
+          ];
         }
       }
+      else if (
+        isResource(relatedInstance) &&
+        relatedInstance.id === _.get(relationships[relationshipName],
+                                     'data.id')
+      ) {
+        relationships[relationshipName] = {
+          ...relationships[relationshipName],
+          data: relatedInstance,
+        };
+      }
     }
-    let relationships = data.relationships || {};
-    delete data.relationships;
-    Object.assign(relationships, related);
     this._overwrite({ relationships, ...data });
+    this.etag = getHeader(response.headers, 'ETag') || null;
+    this.constructor.API.remember(this);
+    if (this.id) {
+      this._replaceLid();
+    }
   }
 
-  static async create(...args) {
+  static async create(props = {}, options = {}) {
     /*  Create and return a new resource. It is basically a shortcut for
       * creating a new object and calling 'save' on it straightaway:
       *
@@ -548,27 +1317,43 @@ export class Resource {
       *
       *     // will send a POST request even though 'id' is set
       *     const parent = await api.Parent.create({ id: '1', name: 'Zeus' });
+      *
+      * The second argument, if present, will be forwarded to
+      * `JsonApi.request()`, except for 'meta' which will be sent as the
+      * resource object's 'meta' (see `.save()`).
       */
-    const instance = new this(...args);
-    await instance._saveNew();
+    const instance = new this(props);
+    if (options.withRelated) {
+      await instance._saveWithRelated([], options, true);
+    }
+    else {
+      await instance._saveNew([], options);
+    }
     return instance;
   }
 
-  async delete() {
+  async delete(options = {}) {
     /*  Deletes a resource from the API. After deletion, all the attributes and
       * relationships will remain but the 'id' will be set to null. This way
       * you can re-create the resource with the same fields or a subset:
       *
       *     await parent.delete();
       *     await parent.save(['name']);
+      *
+      * Like `.save()`, it sends the resource's 'ETag' as 'If-Match' and
+      * throws a `ConflictError` if the resource was modified on the server.
       * */
 
-    await this.constructor.API.request({ method: 'delete',
-                                         url: this.getItemUrl() });
+    await this._conditionalRequest({ method: 'delete',
+                                     url: this.getItemUrl(),
+                                     ...options });
+    this.constructor.API.evict(this);
     this.id = null;
+    this.lid = generateLid();
+    this.etag = null;
   }
 
-  async change(field, value) {
+  async change(field, value, options = {}) {
     /*  Change a singular relationship. This will send a resource identifier to
       * the relationship's link. The link is saved in
       * `this.relationships[field].links.self` but it defaults to
@@ -582,16 +1367,30 @@ export class Resource {
       *
       *   PATCH /children/1/relationships/parent
       *   {"data": {"type": "parents", "id": "2"}}
+      *
+      * 'options' are forwarded to `JsonApi.request()`, except for 'meta',
+      * which is sent as the document's 'meta'. The same goes for `.add()`,
+      * `.reset()` and `.remove()`.
       * */
 
-    if (! (field in this.relationships)) {
+    const declaration = (this.constructor.RELATIONSHIPS || {})[field];
+    if (! (field in this.relationships) && ! declaration) {
       throw new Error(`${field} is not a relationship`);
     }
 
+    if (declaration) {
+      value = normalizeRelated(declaration, field, value);
+    }
     value = value && this.constructor.API.asResource(value);
     await this._editRelationship('patch',
                                  field,
-                                 value && value.asResourceIdentifier());
+                                 value && value.asResourceIdentifier(),
+                                 options);
+    this._applyChange(field, value);
+  }
+
+  _applyChange(field, value) {
+    // Point a singular relationship to 'value' after the server accepted it
     if (! this.relationships[field]) {
       this.relationships[field] = {};
     }
@@ -599,9 +1398,13 @@ export class Resource {
     if ((this.related[field] || {}).id !== (value || {}).id) {
       this.related[field] = value;
     }
+    // The server has it now, so it's not a local change
+    this._serverState.relationships[field] = _.cloneDeep(
+      this.relationships[field].data,
+    );
   }
 
-  async add(field, values) {
+  async add(field, values, options = {}) {
     /*  Add items to a plural relationship. This will send a list of resource
       * identifiers with a POST request to the relationship's link. The link is
       * saved in `this.relationships[field].links.self` but it defaults to
@@ -622,10 +1425,10 @@ export class Resource {
       * new items to the relationship, but this behaviour depends on the
       * server. */
 
-    await this._editPluralRelationship('post', field, values);
+    await this._editPluralRelationship('post', field, values, options);
   }
 
-  async reset(field, values) {
+  async reset(field, values, options = {}) {
     /*  Reset all items of a plural relationship. This will send a list of
       * resource identifiers with a PATCH request to the relationship's link.
       * The link is saved in `this.relationships[field].links.self` but it
@@ -646,10 +1449,10 @@ export class Resource {
       * relationships with the new items, but this behaviour depends on the
       * server. */
 
-    await this._editPluralRelationship('patch', field, values);
+    await this._editPluralRelationship('patch', field, values, options);
   }
 
-  async remove(field, values) {
+  async remove(field, values, options = {}) {
     /*  Remove items from a plural relationship. This will send a list of
       * resource identifiers with a DELETE request to the relationship's link.
       * The link is saved in `this.relationships[field].links.self` but it
@@ -670,23 +1473,33 @@ export class Resource {
       * items from the relationship, but this behaviour depends on the server.
       * */
 
-    await this._editPluralRelationship('delete', field, values);
+    await this._editPluralRelationship('delete', field, values, options);
   }
 
-  async _editRelationship(method, field, data) {
+  async _editRelationship(method,
+                          field,
+                          data,
+                          { meta = null, ...options } = {}) {
     const url = _.get(
       this,
       `relationships.${field}.links.self`,
       `/${this.constructor.TYPE}/${this.id}/relationships/${field}`,
     );
-    await this.constructor.API.request({ method, url, data: { data } });
+    await this.constructor.API.request({ method,
+                                         url,
+                                         data: meta ? { data, meta } : { data },
+                                         ...options });
   }
 
-  async _editPluralRelationship(method, field, values) {
+  async _editPluralRelationship(method, field, values, options = {}) {
+    const declaration = (this.constructor.RELATIONSHIPS || {})[field];
+    if (declaration) {
+      values = normalizeRelated(declaration, field, values);
+    }
     const payload = values.map(
       (item) => this.constructor.API.asResource(item).asResourceIdentifier(),
     );
-    await this._editRelationship(method, field, payload);
+    await this._editRelationship(method, field, payload, options);
   }
 
   static list() {
@@ -694,9 +1507,10 @@ export class Resource {
       *
       * If you `.fetch()` the result, its `.data` will contain only the first
       * page of the collection. You can get modified copies of the result with
-      * `.filter()`, `.page()`, `.include()`, `.sort()` and `.fields()` and
-      * fetch those instead. The result will also support pagination with its
-      * `.all()`, `.allPages()`, `.getNext()` and `.getPrevious()` methods.
+      * `.filter()`, `.page()`, `.include()`, `.sort()`, `.orderBy()` and
+      * `.fields()` and fetch those instead. The result will also support
+      * pagination with its `.all()`, `.allPages()`, `.getNext()` and
+      * `.getPrevious()` methods.
       *
       *   const childrenAboveFive = familyApi.Child.
       *     list().
@@ -704,22 +1518,31 @@ export class Resource {
       *   await childrenAboveFive.fetch();
       *   console.log(childrenAboveFive.data[0].get('name'));
       *
-      * The `.filter()`, `.page()`, `.include()`, `.sort()` and `.fields()` are
-      * attached as static methods on the `Resource` class. Their behaviour is
-      * identical to adding them after a call to `.list()`:
+      * The `.filter()`, `.page()`, `.include()`, `.sort()`, `.orderBy()` and
+      * `.fields()` are attached as static methods on the `Resource` class.
+      * Their behaviour is identical to adding them after a call to
+      * `.list()`:
       *
       *   familyApi.Child.filter({ age__gt: 5 });
       *   // equivalent to
       *   familyApi.Child.list().filter({ age__gt: 5 });
       * */
 
-    return new Collection(this.API, this.getCollectionUrl());
+    // The paginator may need the first page to be fetched with a page size
+    const params = this.PAGINATOR ? this.PAGINATOR.getListParams() : {};
+    return new Collection(this.API,
+                          this.getCollectionUrl(),
+                          _.isEmpty(params) ? null : params,
+                          { type: this.TYPE, paginator: this.PAGINATOR });
   }
 
-  async follow() {
+  async follow(options = {}) {
     /*  If a response to the server has a redirect HTTP status code (3XX), you
-      * can call `follow.()` on the resource object to get the axios response
-      * made to the URL indicated by the Location header. This will most likely
+      * can call `follow.()` on the resource object to get the response to a
+      * request made to the URL indicated by the Location header. The request
+      * is sent with the API connection's transport, but without any of the
+      * {json:api} headers, since the URL will most likely point to a
+      * different server (eg a file storage service). This will most likely
       * happen after a call to `.save()`, `.create()` or `.reload()`:
       *
       *   const download = api.Download.create(...);
@@ -734,15 +1557,21 @@ export class Resource {
       *       clearInterval(timerId);
       *     }
       *   }, 1000);
+      *
+      * 'options' are forwarded to the transport, so you can pass a 'signal'.
       * */
 
     if (! this.redirect) {
       throw new Error('Cannot follow without redirect');
     }
-    return await axios.get(this.redirect);
+    return await this.constructor.API.transport.request({
+      method: 'get',
+      url: this.redirect,
+      ...options,
+    });
   }
 
-  static async bulkCreate(args) {
+  static async bulkCreate(args, options = {}) {
     /* Send a bulk POST request. The arguments can either be `Resource`
       * instances or JSON representations of them.
       *
@@ -776,11 +1605,12 @@ export class Resource {
     const response = await this.API.request({ method: 'post',
                                               url: this.getCollectionUrl(),
                                               data: { data },
-                                              bulk: true });
+                                              bulk: true,
+                                              ...options });
     return Collection.fromData(this.API, response.data.data);
   }
 
-  static async bulkDelete(args) {
+  static async bulkDelete(args, options = {}) {
     /* Send a bulk DELETE request. The arguments can either be `Resource`
       * instances or JSON representations of them.
       *
@@ -811,11 +1641,12 @@ export class Resource {
     await this.API.request({ method: 'delete',
                              url: this.getCollectionUrl(),
                              data: { data },
-                             bulk: true });
+                             bulk: true,
+                             ...options });
     return data.length;
   }
 
-  static async bulkUpdate(args, fields) {
+  static async bulkUpdate(args, fields, options = {}) {
     /* Send a bulk PATCH request. The arguments can either be `Resource`
       * instances or JSON representations of them. You also need to specify the
       * fields you want to change.
@@ -862,24 +1693,19 @@ export class Resource {
     const response = await this.API.request({ method: 'patch',
                                               url: this.getCollectionUrl(),
                                               data: { data },
-                                              bulk: true });
+                                              bulk: true,
+                                              ...options });
     return Collection.fromData(this.API, response.data.data);
   }
 
-  static async createWithForm(...props) {
+  static async createWithForm(props = {}) {
     /*  Make a POST request to the collection URL, passing options directly to
-      * axios */
+      * `JsonApi.request()` and, through it, to the transport */
 
     const response = await this.API.request({ method: 'post',
                                               url: this.getCollectionUrl(),
                                               ...props });
-    const body = response.data;
-    const data = body.data;
-    const included = body.included;
-    if (included) {
-      data.included = included;
-    }
-    return this.API.new(data);
+    return resolveDocument(this.API, response.data);
   }
 
   getItemUrl() {
@@ -895,6 +1721,10 @@ export class Resource {
   }
 
   asResourceIdentifier() {
+    // New resources are identified by their lid
+    if (! this.id && this.lid) {
+      return { type: this.constructor.TYPE, lid: this.lid };
+    }
     return { type: this.constructor.TYPE, id: this.id };
   }
 
@@ -938,7 +1768,12 @@ export class Resource {
   }
 }
 
-for (const listMethod of [ 'filter', 'page', 'include', 'sort', 'fields' ]) {
+for (const listMethod of [ 'filter',
+                           'page',
+                           'include',
+                           'sort',
+                           'orderBy',
+                           'fields' ]) {
   Resource[listMethod] = function(...args) {
     return this.list()[listMethod](...args);
   };
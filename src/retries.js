@@ -0,0 +1,97 @@
+import _ from 'lodash';
+
+import { getHeader } from './utils';
+
+export class RetryPolicy {
+  /*  Decides whether and when a failed request should be retried. Set it on
+    * the API connection type or instance:
+    *
+    *   class FamilyApi extends JsonApi {
+    *     static HOST = 'https://api.families.com';
+    *     static RETRY = new RetryPolicy({ maxAttempts: 5 });
+    *   }
+    *
+    *   // or
+    *
+    *   const familyApi = new FamilyApi({ retry: { maxAttempts: 5 } });
+    *
+    * A request is retried if its method is one of `methods` and either the
+    * server responded with one of the `statuses` or the connection failed
+    * with one of the `codes`. POST and PATCH requests are not idempotent, so
+    * they are not retried unless you add them to `methods` yourself.
+    *
+    * The delay before each retry grows exponentially, starting from
+    * `baseDelay` milliseconds and up to `maxDelay`. With `jitter`, a random
+    * delay between 0 and that value is picked, so that clients that failed
+    * together don't retry together. If the response has a `Retry-After`
+    * header, it is honored instead (still capped to `maxDelay`). */
+
+  constructor({ maxAttempts = 3,
+                baseDelay = 500,
+                maxDelay = 30000,
+                jitter = true,
+                methods = [ 'get', 'head', 'options', 'put', 'delete' ],
+                statuses = [ 429, 502, 503, 504 ],
+                codes = [
+                  'ECONNRESET',
+                  'ECONNREFUSED',
+                  'ETIMEDOUT',
+                  'EPIPE',
+                  'EAI_AGAIN',
+                ] } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.jitter = jitter;
+    this.methods = methods.map((method) => method.toLowerCase());
+    this.statuses = statuses;
+    this.codes = codes;
+  }
+
+  shouldRetry(attempt, request, error) {
+    if (attempt >= this.maxAttempts) {
+      return false;
+    }
+    if (! this.methods.includes((request.method || 'get').toLowerCase())) {
+      return false;
+    }
+    if (error.response) {
+      return this.statuses.includes(error.response.status);
+    }
+    return this.codes.includes(error.code);
+  }
+
+  getDelay(attempt, request, error) {
+    /*  Return the number of milliseconds to wait before retrying, or null if
+      * the request should not be retried. `attempt` is the number of attempts
+      * made so far. */
+
+    if (! this.shouldRetry(attempt, request, error)) {
+      return null;
+    }
+    const retryAfter = parseRetryAfter(
+      getHeader(_.get(error, 'response.headers'), 'Retry-After'),
+    );
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelay);
+    }
+    const delay = Math.min(this.baseDelay * 2 ** (attempt - 1),
+                           this.maxDelay);
+    return this.jitter ? Math.random() * delay : delay;
+  }
+}
+
+function parseRetryAfter(value) {
+  // `Retry-After` is either a number of seconds or an HTTP date
+  if (_.isNil(value) || value === '') {
+    return null;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  if (isNaN(date)) {
+    return null;
+  }
+  return Math.max(date - Date.now(), 0);
+}
@@ -0,0 +1,253 @@
+import _ from 'lodash';
+
+import { hasData, hasLinks, isList, isNull, isObject, isResource,
+         isResourceIdentifier } from './utils';
+
+const TYPE_ALIASES = new Map([
+  [ String, 'string' ],
+  [ Number, 'number' ],
+  [ Boolean, 'boolean' ],
+  [ Date, 'date' ],
+  [ Object, 'object' ],
+]);
+
+export function normalizeField(definition) {
+  /*  Field definitions can be written in a few shorthand forms:
+    *
+    *   name: 'string'
+    *   born: Date
+    *   age: { type: Number, default: 0 }
+    *
+    * This returns them all in the long form, with the type as a string. */
+
+  if (! _.isPlainObject(definition)) {
+    definition = { type: definition };
+  }
+  const type = TYPE_ALIASES.get(definition.type) || definition.type || 'any';
+  return { required: false, readOnly: false, ...definition, type };
+}
+
+function isDateString(value) {
+  return _.isString(value) && ! isNaN(Date.parse(value));
+}
+
+function deserializeValue(field, value) {
+  if (_.isNil(value)) {
+    return value;
+  }
+  switch (field.type) {
+  case 'date':
+    return isDateString(value) ? new Date(value) : value;
+  case 'number':
+    return _.isString(value) && value.trim() !== '' && ! isNaN(value) ?
+      Number(value) :
+      value;
+  case 'boolean':
+    return { true: true, false: false }[value] ?? value;
+  case 'object':
+    return field.schema && _.isPlainObject(value) ?
+      deserialize(field.schema, value) :
+      value;
+  default:
+    return value;
+  }
+}
+
+function serializeValue(field, value) {
+  if (_.isNil(value)) {
+    return value;
+  }
+  if (field.type === 'date' && _.isDate(value)) {
+    return value.toISOString();
+  }
+  if (field.type === 'object' && field.schema && _.isPlainObject(value)) {
+    return serialize(field.schema, value);
+  }
+  return value;
+}
+
+export function deserialize(schema, attributes) {
+  // Convert attributes as they appear in {json:api} payloads to JS values
+  const result = { ...attributes };
+  for (const name in schema) {
+    if (name in result) {
+      result[name] = deserializeValue(normalizeField(schema[name]),
+                                      result[name]);
+    }
+  }
+  return result;
+}
+
+export function serialize(schema, attributes) {
+  // The reverse of `deserialize`
+  const result = { ...attributes };
+  for (const name in schema) {
+    if (name in result) {
+      result[name] = serializeValue(normalizeField(schema[name]), result[name]);
+    }
+  }
+  return result;
+}
+
+export function getReadOnlyFields(schema) {
+  return _.filter(_.keys(schema),
+                  (name) => normalizeField(schema[name]).readOnly);
+}
+
+export function getDefaults(schema) {
+  const result = {};
+  for (const name in schema) {
+    const field = normalizeField(schema[name]);
+    if ('default' in field) {
+      result[name] = _.isFunction(field.default) ?
+        field.default() :
+        _.cloneDeep(field.default);
+    }
+  }
+  return result;
+}
+
+function validateValue(field, value) {
+  switch (field.type) {
+  case 'string':
+    return _.isString(value) ? null : 'must be a string';
+  case 'number':
+    return _.isFinite(value) ? null : 'must be a number';
+  case 'boolean':
+    return _.isBoolean(value) ? null : 'must be a boolean';
+  case 'date':
+    return _.isDate(value) && ! isNaN(value) ? null : 'must be a date';
+  case 'enum':
+    return (field.values || []).includes(value) ?
+      null :
+      `must be one of ${(field.values || []).join(', ')}`;
+  case 'object':
+    return _.isPlainObject(value) ? null : 'must be an object';
+  default:
+    return null;
+  }
+}
+
+export function validate(schema, attributes, fields = null, prefix = '') {
+  /*  Return an object mapping field names to lists of error messages. Nested
+    * object fields are reported with dotted names (eg 'address.city'). If
+    * `fields` is set, only those fields are validated, so that a partial
+    * update is not rejected because of fields that were not fetched.
+    * Read-only fields are never sent to the server, so they are skipped. */
+
+  const errors = {};
+  for (const name in schema) {
+    if (fields && ! fields.includes(name)) {
+      continue;
+    }
+    const field = normalizeField(schema[name]);
+    if (field.readOnly) {
+      continue;
+    }
+    const value = attributes[name];
+    const path = prefix + name;
+    if (_.isNil(value) || value === '') {
+      if (field.required) {
+        errors[path] = [ 'is required' ];
+      }
+      continue;
+    }
+    const error = validateValue(field, value);
+    if (error) {
+      errors[path] = [ error ];
+    }
+    else if (field.type === 'object' && field.schema) {
+      Object.assign(errors,
+                    validate(field.schema, value, null, `${path}.`));
+    }
+    if (field.validate) {
+      const message = field.validate(value);
+      if (message) {
+        errors[path] = [ ...errors[path] || [], message ];
+      }
+    }
+  }
+  return errors;
+}
+
+function declareRelationship(many, types, { inverse = null } = {}) {
+  if (isNull(types)) {
+    types = [];
+  }
+  else if (! _.isArray(types)) {
+    types = [ types ];
+  }
+  return { many, types, inverse };
+}
+
+export function belongsTo(types = null, options = {}) {
+  /*  Declare a singular relationship, to be used in a Resource subclass'
+    * 'RELATIONSHIPS'. 'types' is the type (or list of types) of resources it
+    * can point to; leave it empty to allow any type. 'inverse' is the name of
+    * the relationship on the other side that points back. */
+
+  return declareRelationship(false, types, options);
+}
+
+export function hasMany(types = null, options = {}) {
+  // Like `belongsTo`, but for plural relationships
+  return declareRelationship(true, types, options);
+}
+
+function normalizeRelatedItem(declaration, name, item) {
+  if (isResource(item) || isResourceIdentifier(item)) {
+    const type = isResource(item) ? item.constructor.TYPE : item.type;
+    if (declaration.types.length > 0 && ! declaration.types.includes(type)) {
+      throw new Error(
+        `Relationship '${name}' cannot point to '${type}', expected ` +
+        declaration.types.join(' or '),
+      );
+    }
+    return item;
+  }
+  if (_.isString(item) || _.isNumber(item)) {
+    if (declaration.types.length !== 1) {
+      throw new Error(
+        `Cannot set relationship '${name}' with a bare id, its type is ` +
+        'ambiguous',
+      );
+    }
+    return { type: declaration.types[0], id: String(item) };
+  }
+  throw new Error(`Cannot set relationship '${name}'`);
+}
+
+export function normalizeRelated(declaration, name, value) {
+  /*  Convert the value of a declared relationship to something that
+    * `Resource._setRelated()` understands, turning bare ids into resource
+    * identifiers and making sure the types are allowed. */
+
+  // Relationship objects without data, eg '{ links: ... }' or '{ meta: ... }'
+  const withoutData = isObject(value) &&
+    ! hasData(value) &&
+    (hasLinks(value) || 'meta' in value);
+  if (declaration.many) {
+    if (isObject(value) && hasData(value)) {
+      return { ...value,
+               data: normalizeRelated(declaration, name, value.data || []) };
+    }
+    if (withoutData) {
+      return value;
+    }
+    if (! isList(value)) {
+      throw new Error(`Relationship '${name}' expects a list`);
+    }
+    return value.map((item) => normalizeRelatedItem(declaration, name, item));
+  }
+  else {
+    if (isObject(value) && hasData(value)) {
+      return isNull(value.data) ?
+        null :
+        { ...value, data: normalizeRelatedItem(declaration, name, value.data) };
+    }
+    if (isNull(value) || withoutData) {
+      return value;
+    }
+    return normalizeRelatedItem(declaration, name, value);
+  }
+}
@@ -0,0 +1,168 @@
+import _ from 'lodash';
+import axios from 'axios';
+
+import { TransportError } from './errors';
+
+export class AxiosTransport {
+  /*  Sends requests to the server using axios. This is the default transport
+    * of `JsonApi`. You can supply your own axios instance, in case you have
+    * configured it with interceptors, proxies etc:
+    *
+    *   const familyApi = new FamilyApi({
+    *     transport: new AxiosTransport(axios.create({ ... })),
+    *   });
+    *
+    * Axios responses and errors already have the shape every transport is
+    * expected to produce, so they are returned and thrown as they are.
+    *
+    * Versions of axios older than 0.22 don't understand `AbortSignal`s, so
+    * the 'signal' is also converted to a cancel token. */
+
+  constructor(instance = null) {
+    this.axios = instance || axios;
+  }
+
+  async request({ signal = null, ...config }) {
+    if (! signal) {
+      return await this.axios.request(config);
+    }
+    let onAbort = null;
+    config.signal = signal;
+    config.cancelToken = new axios.CancelToken((cancel) => {
+      if (signal.aborted) {
+        cancel();
+      }
+      else {
+        onAbort = () => cancel();
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+    try {
+      return await this.axios.request(config);
+    }
+    finally {
+      if (onAbort) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+}
+
+export class FetchTransport {
+  /*  Sends requests to the server using the `fetch` API. By default it will
+    * use the global `fetch`, but you can supply another implementation (eg
+    * undici's):
+    *
+    *   import { fetch } from 'undici';
+    *
+    *   const familyApi = new FamilyApi({
+    *     transport: new FetchTransport({ fetch }),
+    *   });
+    *
+    * The request config is the same one that would be passed to
+    * `axios.request()` and the responses are normalized to axios' shape
+    * (`{ status, statusText, headers, data }`), with the header names in
+    * lowercase. Responses whose status fails `validateStatus` (by default, the
+    * non-2XX ones) are thrown as `TransportError`s with the normalized response
+    * in their `response` field, so that `JsonApi` can handle them the same way
+    * it handles axios errors. */
+
+  constructor({ fetch = null } = {}) {
+    this.fetch = fetch;
+  }
+
+  async request({ url,
+                  method = 'get',
+                  headers = {},
+                  params = null,
+                  data = null,
+                  maxRedirects = null,
+                  validateStatus = isSuccessful,
+                  ...props }) {
+    const fetch = this.fetch || globalThis.fetch;
+    const init = { method: method.toUpperCase(), headers, ...props };
+    if (maxRedirects === 0) {
+      init.redirect = 'manual';
+    }
+    if (_.isPlainObject(data) || _.isArray(data)) {
+      init.body = JSON.stringify(data);
+    }
+    else if (! _.isNil(data)) {
+      init.body = data;
+    }
+
+    let fetchResponse;
+    try {
+      fetchResponse = await fetch(buildUrl(url, params), init);
+    }
+    catch (e) {
+      throw new TransportError(e.message, {
+        code: _.get(e, 'cause.code') || e.code || null,
+      });
+    }
+
+    const response = {
+      status: fetchResponse.status,
+      statusText: fetchResponse.statusText,
+      headers: {},
+      data: null,
+    };
+    fetchResponse.headers.forEach((value, key) => {
+      response.headers[key.toLowerCase()] = value;
+    });
+    const text = await fetchResponse.text();
+    if (text) {
+      try {
+        response.data = JSON.parse(text);
+      }
+      catch (e) {
+        response.data = text;
+      }
+    }
+
+    if (! validateStatus(response.status)) {
+      throw new TransportError(
+        `Request failed with status code ${response.status}`,
+        { response },
+      );
+    }
+    return response;
+  }
+}
+
+function isSuccessful(status) {
+  return status >= 200 && status < 300;
+}
+
+function encode(value) {
+  // Same as axios, so that both transports produce identical URLs
+  return encodeURIComponent(value).
+    replace(/%3A/gi, ':').
+    replace(/%24/g, '$').
+    replace(/%2C/gi, ',').
+    replace(/%20/g, '+').
+    replace(/%5B/gi, '[').
+    replace(/%5D/gi, ']');
+}
+
+function buildUrl(url, params) {
+  const parts = [];
+  for (const key in params || {}) {
+    const value = params[key];
+    if (_.isNil(value)) {
+      continue;
+    }
+    if (_.isArray(value)) {
+      for (const item of value) {
+        parts.push(`${encode(key)}[]=${encode(item)}`);
+      }
+    }
+    else {
+      parts.push(`${encode(key)}=${encode(value)}`);
+    }
+  }
+  if (parts.length === 0) {
+    return url;
+  }
+  return url + (url.includes('?') ? '&' : '?') + parts.join('&');
+}
@@ -39,5 +39,79 @@ export function isResource(value) {
 }
 
 export function isResourceIdentifier(value) {
-  return _.isObject(value) && 'type' in value && 'id' in value;
+  // Resource identifiers of new resources have a 'lid' instead of an 'id'
+  return _.isObject(value) && 'type' in value && ('id' in value ||
+                                                  'lid' in value);
+}
+
+export function getHeader(headers, name) {
+  // Header names are case-insensitive, transports may have lowercased them
+  const key = _.findKey(
+    headers || {},
+    (value, key) => key.toLowerCase() === name.toLowerCase(),
+  );
+  return isNull(key) ? undefined : headers[key];
+}
+
+export function sleep(milliseconds, signal = null) {
+  // Resolves early if the signal is aborted, callers should check for it
+  return new Promise((resolve) => {
+    function onAbort() {
+      clearTimeout(timer);
+      resolve();
+    }
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, milliseconds);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+export function getFieldsParams(type, fields) {
+  /*  Convert sparse fieldsets to GET parameters. 'fields' is either a list of
+    * fields of 'type' or an object mapping types to lists of fields:
+    *
+    *   getFieldsParams('children', ['name', 'age']);
+    *   // <<< { 'fields[children]': 'name,age' }
+    *   getFieldsParams('children', { parents: ['name'] });
+    *   // <<< { 'fields[parents]': 'name' }
+    *
+    * If 'type' is not known, the plain 'fields' parameter is used. */
+
+  if (isNull(fields)) {
+    return {};
+  }
+  if (! isObject(fields)) {
+    if (! type) {
+      return { fields: _.castArray(fields).join(',') };
+    }
+    fields = { [type]: fields };
+  }
+  return _.mapValues(_.mapKeys(fields, (value, key) => `fields[${key}]`),
+                     (value) => _.castArray(value).join(','));
+}
+
+export function getQueryParams(url, params = null) {
+  // The GET parameters of a request, both the ones in the URL and 'params'
+  const query = url && url.includes('?') ?
+    [ ...new URLSearchParams(url.slice(url.indexOf('?') + 1)) ] :
+    [];
+  return { ..._.fromPairs(query), ...params };
+}
+
+export function getFieldsets(url, params = null) {
+  // The reverse of `getFieldsParams`, looking in both the URL and the params
+  const result = {};
+  for (const [ key, value ] of _.toPairs(getQueryParams(url, params))) {
+    const match = /^fields\[(.+)\]$/.exec(key);
+    if (match) {
+      result[match[1]] = String(value).split(',').filter(Boolean);
+    }
+  }
+  return result;
 }
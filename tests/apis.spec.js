@@ -1,11 +1,13 @@
 /* global test expect jest */
 
-import './utils';
+import { Api } from './utils';
 
 import axios from 'axios';
 
 import { JsonApi } from '../src/apis';
-import { JsonApiException } from '../src/errors';
+import { JsonApiException, RequestCancelled,
+         RequestTimeout } from '../src/errors';
+import { RetryPolicy } from '../src/retries';
 
 jest.mock('axios');
 
@@ -44,6 +46,22 @@ test('JsonApi.register', () => {
   expect(api.registry.resources).toEqual(api.Resource);
 });
 
+test('JsonApi.new uses registered classes', () => {
+  class Api extends JsonApi {
+    static HOST = 'api.com';
+  }
+  class Resource {
+    static TYPE = 'resources';
+  }
+  Api.register(Resource);
+
+  const api = new Api();
+  const resource = api.new({ type: 'resources', id: '1' });
+  expect(resource).toBeInstanceOf(Resource);
+  expect(resource).toBeInstanceOf(api.Resource);
+  expect(api.new({ type: 'others', id: '1' })).not.toBeInstanceOf(Resource);
+});
+
 test('JsonApi.request with GET', async () => {
   class Api extends JsonApi {
     static HOST = 'https://api.com';
@@ -97,3 +115,277 @@ test('JsonApi.request with error', async () => {
   }
   expect(errorRaised).toBeTruthy();
 });
+
+test('JsonApi.request with middleware', async () => {
+  const calls = [];
+  async function first(request, next) {
+    calls.push('first request');
+    const response = await next({
+      ...request,
+      headers: { ...request.headers, 'X-Trace-Id': 'abc' },
+    });
+    calls.push('first response');
+    return { ...response, data: `${response.data} (rewritten)` };
+  }
+  async function second(request, next) {
+    calls.push('second request');
+    const response = await next();
+    calls.push('second response');
+    return response;
+  }
+  class Api extends JsonApi {
+    static HOST = 'https://api.com';
+
+    static MIDDLEWARE = [first];
+  }
+  const api = new Api({ auth: 'MYTOKEN', middleware: [second] });
+  axios.request.mockResolvedValue(Promise.resolve({ data: 'mock response' }));
+  const response = await api.request({ method: 'get', url: '/path' });
+
+  expect(calls).toEqual([
+    'first request', 'second request', 'second response', 'first response',
+  ]);
+  expect(response).toEqual({ data: 'mock response (rewritten)' });
+  expect(axios.request).toHaveBeenCalledWith({
+    method: 'get',
+    url: 'https://api.com/path',
+    headers: {
+      'Content-Type': 'application/vnd.api+json',
+      Authorization: 'Bearer MYTOKEN',
+      'X-Trace-Id': 'abc',
+    },
+    maxRedirects: 0,
+  });
+  expect(new Api().middleware).toEqual([first]);
+});
+
+test('JsonApi.request with short-circuiting middleware', async () => {
+  const api = new JsonApi({ host: 'https://api.com', auth: 'MYTOKEN' });
+  api.use(async (request) => ({ status: 200, data: request.url }));
+  axios.request.mockClear();
+  const response = await api.request({ method: 'get', url: '/path' });
+  expect(response).toEqual({ status: 200, data: 'https://api.com/path' });
+  expect(axios.request).not.toHaveBeenCalled();
+});
+
+test('JsonApi.request with retries', async () => {
+  const errors = [{ status: 503, detail: 'Service unavailable' }];
+  const api = new JsonApi({ host: 'https://api.com',
+                            auth: 'MYTOKEN',
+                            retry: { baseDelay: 0 } });
+  axios.request.mockReset();
+  axios.request.
+    mockRejectedValueOnce({ response: { status: 503, data: { errors } } }).
+    mockRejectedValueOnce({ code: 'ECONNRESET' }).
+    mockResolvedValueOnce('mock response');
+  expect(await api.request({ method: 'get', url: '/path' })).
+    toBe('mock response');
+  expect(axios.request).toHaveBeenCalledTimes(3);
+
+  axios.request.mockReset();
+  axios.request.mockRejectedValue({ response: { status: 503,
+                                                data: { errors } } });
+  let error;
+  try {
+    await api.request({ method: 'get', url: '/path' });
+  }
+  catch (e) {
+    error = e;
+  }
+  expect(error instanceof JsonApiException).toBeTruthy();
+  expect(error.attempts).toBe(3);
+  expect(error.message).toMatch(/after 3 attempts/);
+  expect(axios.request).toHaveBeenCalledTimes(3);
+
+  axios.request.mockClear();
+  await expect(api.request({ method: 'post', url: '/path' })).
+    rejects.toMatchObject({ attempts: 1 });
+  expect(axios.request).toHaveBeenCalledTimes(1);
+
+  api.setup({ retry: false });
+  expect(api.retry).toBeNull();
+
+  // The static field accepts the same values as the property
+  class RetryingApi extends JsonApi {
+    static RETRY = { baseDelay: 0 };
+  }
+  const retryingApi = new RetryingApi({ host: 'https://api.com' });
+  expect(retryingApi.retry).toBeInstanceOf(RetryPolicy);
+  expect(retryingApi.retry.baseDelay).toBe(0);
+  axios.request.mockReset();
+  axios.request.
+    mockRejectedValueOnce({ code: 'ECONNRESET' }).
+    mockResolvedValueOnce('mock response');
+  expect(await retryingApi.request({ method: 'get', url: '/path' })).
+    toBe('mock response');
+  expect(new (JsonApi.extend({ RETRY: true }))().retry).
+    toBeInstanceOf(RetryPolicy);
+});
+
+test('JsonApi.request with async auth', async () => {
+  const api = new JsonApi({
+    host: 'https://api.com',
+    auth: async () => ({ 'X-Api-Key': 'KEY' }),
+  });
+  axios.request.mockResolvedValue(Promise.resolve('mock response'));
+  await api.request({ method: 'get', url: '/path' });
+  expect(axios.request).toHaveBeenCalledWith({
+    method: 'get',
+    url: 'https://api.com/path',
+    headers: { 'Content-Type': 'application/vnd.api+json',
+               'X-Api-Key': 'KEY' },
+    maxRedirects: 0,
+  });
+});
+
+test('JsonApi.request refreshes auth once on concurrent 401s', async () => {
+  const errors = [{ status: 401, detail: 'Token expired' }];
+  const onUnauthorized = jest.fn(async () => 'NEWTOKEN');
+  const api = new JsonApi({ host: 'https://api.com',
+                            auth: 'OLDTOKEN',
+                            onUnauthorized });
+  axios.request.mockReset();
+  axios.request.mockImplementation(async ({ headers }) => {
+    if (headers.Authorization === 'Bearer NEWTOKEN') {
+      return 'mock response';
+    }
+    throw { response: { status: 401, data: { errors } } };
+  });
+
+  const responses = await Promise.all([
+    api.request({ method: 'get', url: '/path1' }),
+    api.request({ method: 'get', url: '/path2' }),
+  ]);
+  expect(responses).toEqual(['mock response', 'mock response']);
+  expect(onUnauthorized).toHaveBeenCalledTimes(1);
+  expect(axios.request).toHaveBeenCalledTimes(4);
+
+  // A request that still fails after the refresh is not replayed again
+  onUnauthorized.mockResolvedValue('BADTOKEN');
+  api.setup({ auth: 'OLDTOKEN' });
+  axios.request.mockClear();
+  await expect(api.request({ method: 'get', url: '/path' })).
+    rejects.toEqual(new JsonApiException(401, errors));
+  expect(onUnauthorized).toHaveBeenCalledTimes(2);
+  expect(axios.request).toHaveBeenCalledTimes(2);
+});
+
+function hangUntilAborted({ signal }) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+}
+
+test('JsonApi.request with signal', async () => {
+  const api = new JsonApi({ host: 'https://api.com', auth: 'MYTOKEN' });
+  axios.request.mockReset();
+  axios.request.mockImplementation(hangUntilAborted);
+
+  const controller = new AbortController();
+  const promise = api.request({ method: 'get',
+                                url: '/path',
+                                signal: controller.signal });
+  controller.abort();
+  await expect(promise).rejects.toBeInstanceOf(RequestCancelled);
+
+  axios.request.mockClear();
+  await expect(api.request({ method: 'get',
+                             url: '/path',
+                             signal: controller.signal })).
+    rejects.toBeInstanceOf(RequestCancelled);
+  expect(axios.request).not.toHaveBeenCalled();
+});
+
+test('JsonApi.request with timeout', async () => {
+  const api = new JsonApi({ host: 'https://api.com',
+                            auth: 'MYTOKEN',
+                            timeout: 10 });
+  axios.request.mockReset();
+  axios.request.mockImplementation(hangUntilAborted);
+
+  await expect(api.request({ method: 'get', url: '/path' })).
+    rejects.toEqual(new RequestTimeout(10));
+  await expect(api.request({ method: 'get', url: '/path', timeout: 20 })).
+    rejects.toEqual(new RequestTimeout(20));
+
+  // Cancelled requests are not retried
+  api.setup({ retry: { baseDelay: 0 } });
+  axios.request.mockClear();
+  await expect(api.request({ method: 'get', url: '/path' })).
+    rejects.toBeInstanceOf(RequestTimeout);
+  expect(axios.request).toHaveBeenCalledTimes(1);
+});
+
+test('identity map', async () => {
+  const api = new Api({ auth: 'MYTOKEN', identityMap: true });
+  axios.request.mockReset();
+
+  axios.request.mockResolvedValueOnce({ data: {
+    data: [
+      { type: 'children',
+        id: '1',
+        attributes: { name: 'Hercules' },
+        relationships: { parent: { data: { type: 'parents', id: '2' } } } },
+      { type: 'children',
+        id: '3',
+        attributes: { name: 'Achilles' },
+        relationships: { parent: { data: { type: 'parents', id: '2' } } } },
+    ],
+    included: [{ type: 'parents', id: '2', attributes: { name: 'Zeus' } }],
+  } });
+  const children = api.Child.include('parent');
+  await children.fetch();
+  const [hercules, achilles] = children.data;
+  const zeus = hercules.get('parent');
+  expect(achilles.get('parent')).toBe(zeus);
+  expect(zeus.get('name')).toEqual('Zeus');
+
+  // Fetched data is merged into the canonical instance
+  axios.request.mockResolvedValueOnce({ data: { data: {
+    type: 'parents', id: '2', attributes: { name: 'Zeus', age: 3000 },
+  } } });
+  const parent = await api.Parent.get('2');
+  expect(parent).toBe(zeus);
+  expect(zeus.get('age')).toEqual(3000);
+
+  axios.request.mockResolvedValueOnce({ data: { data: [
+    { type: 'children', id: '1', attributes: { name: 'Heracles' } },
+  ] } });
+  const renamed = await api.Child.get({ name: 'Heracles' });
+  expect(renamed).toBe(hercules);
+  expect(hercules.get('name')).toEqual('Heracles');
+  expect(hercules.get('parent')).toBe(zeus);
+
+  // Single fetches keep local changes, like collection fetches
+  zeus.set('name', 'Jupiter');
+  axios.request.mockResolvedValueOnce({ data: { data: [
+    { type: 'parents', id: '2', attributes: { name: 'Zeus', age: 3001 } },
+  ] } });
+  await api.Parent.list().fetch();
+  expect(zeus.get('name')).toEqual('Jupiter');
+  axios.request.mockResolvedValueOnce({ data: { data: {
+    type: 'parents', id: '2', attributes: { name: 'Zeus', age: 3002 },
+  } } });
+  expect(await api.Parent.get('2')).toBe(zeus);
+  expect(zeus.get('name')).toEqual('Jupiter');
+  expect(zeus.get('age')).toEqual(3002);
+  expect(zeus.changedFields()).toEqual(['name']);
+
+  // New resources join the identity map once saved
+  axios.request.mockResolvedValueOnce({ data: { data: {
+    type: 'children', id: '4', attributes: { name: 'Perseus' },
+  } } });
+  const perseus = await api.Child.create({ name: 'Perseus' });
+  expect(api.new({ type: 'children', id: '4' })).toBe(perseus);
+
+  api.evict(perseus);
+  expect(api.new({ type: 'children', id: '4' })).not.toBe(perseus);
+  api.evict({ type: 'parents', id: '2' });
+  expect(api.new({ type: 'parents', id: '2' })).not.toBe(zeus);
+  api.clearIdentityMap();
+  expect(api.identityMap).toEqual({});
+
+  const otherApi = new Api({ auth: 'MYTOKEN' });
+  expect(otherApi.new({ type: 'parents', id: '2' })).
+    not.toBe(otherApi.new({ type: 'parents', id: '2' }));
+});
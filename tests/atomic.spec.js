@@ -0,0 +1,110 @@
+/* global test expect jest */
+
+import axios from 'axios';
+
+import { ATOMIC_MEDIA_TYPE } from '../src/atomic';
+import { api } from './utils';
+
+jest.mock('axios');
+
+function expectAtomicRequest(operations) {
+  expect(axios.request).toHaveBeenCalledWith({
+    method: 'post',
+    url: 'https://api.families.com/operations',
+    headers: { Authorization: 'Bearer MYTOKEN',
+               'Content-Type': ATOMIC_MEDIA_TYPE,
+               Accept: ATOMIC_MEDIA_TYPE },
+    maxRedirects: 0,
+    data: { 'atomic:operations': operations },
+  });
+}
+
+test('add new resources that refer to each other', async () => {
+  axios.request.mockReset();
+  axios.request.mockResolvedValueOnce({ data: { 'atomic:results': [
+    { data: { type: 'parents', id: '1', attributes: { name: 'Zeus' } } },
+    { data: { type: 'children',
+              id: '2',
+              attributes: { name: 'Hercules' },
+              relationships: { parent: { data: { type: 'parents',
+                                                 id: '1' } } } } },
+  ] } });
+
+  const parent = new api.Parent({ name: 'Zeus' });
+  const child = new api.Child({ name: 'Hercules', parent });
+  const result = await api.atomic(async (tx) => {
+    tx.add(parent);
+    tx.add(child);
+    return parent;
+  });
+
+  expectAtomicRequest([
+    { op: 'add',
+      data: { type: 'parents',
+              lid: parent.lid,
+              attributes: { name: 'Zeus' } } },
+    { op: 'add',
+      data: { type: 'children',
+              lid: child.lid,
+              attributes: { name: 'Hercules' },
+              relationships: { parent: { data: { type: 'parents',
+                                                 lid: parent.lid } } } } },
+  ]);
+  expect(result).toBe(parent);
+  expect(parent.id).toEqual('1');
+  expect(child.get('parent')).toBe(parent);
+  expect(result.isDirty()).toBeFalsy();
+});
+
+test('update, remove and relationship operations', async () => {
+  axios.request.mockReset();
+  axios.request.mockResolvedValueOnce({ status: 204, data: '' });
+
+  const child = new api.Child({ id: '1', attributes: { name: 'Hercules' } });
+  const oldChild = new api.Child({ id: '2' });
+  const parent = new api.Parent({ id: '3' });
+  child.set('name', 'Heracles');
+  await api.atomic(async (tx) => {
+    tx.update(child);
+    tx.update(parent);  // No changes, nothing is recorded
+    tx.change(child, 'parent', parent);
+    tx.add(parent, 'children', [ child ]);
+    tx.reset(parent, 'pets', []);
+    tx.remove(parent, 'children', [ { type: 'children', id: '2' } ]);
+    tx.remove(oldChild);
+  });
+
+  const ref = { type: 'parents', id: '3' };
+  expectAtomicRequest([
+    { op: 'update',
+      data: { type: 'children',
+              id: '1',
+              attributes: { name: 'Heracles' } } },
+    { op: 'update',
+      ref: { type: 'children', id: '1', relationship: 'parent' },
+      data: ref },
+    { op: 'add',
+      ref: { ...ref, relationship: 'children' },
+      data: [ { type: 'children', id: '1' } ] },
+    { op: 'update', ref: { ...ref, relationship: 'pets' }, data: [] },
+    { op: 'remove',
+      ref: { ...ref, relationship: 'children' },
+      data: [ { type: 'children', id: '2' } ] },
+    { op: 'remove', ref: { type: 'children', id: '2' } },
+  ]);
+  expect(child.isDirty()).toBeFalsy();
+  expect(child.get('parent')).toBe(parent);
+  expect(oldChild.id).toBeNull();
+});
+
+test('nothing is sent if the transaction fails or is empty', async () => {
+  axios.request.mockReset();
+  await expect(api.atomic(async (tx) => {
+    tx.add(new api.Child({ parent: new api.Parent({ name: 'Zeus' }) }));
+  })).rejects.toThrow(
+    'A new parents resource must be added to the transaction before it can ' +
+    'be referred to',
+  );
+  expect(await api.atomic(() => 'nothing')).toEqual('nothing');
+  expect(axios.request).not.toHaveBeenCalled();
+});
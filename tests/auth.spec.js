@@ -0,0 +1,95 @@
+/* global test expect jest */
+
+import { ClientCredentialsAuth, RefreshTokenAuth } from '../src/auth';
+import { JsonApi } from '../src/apis';
+
+function makeApi(auth, tokens) {
+  const transport = { request: jest.fn() };
+  transport.request.mockImplementation(async ({ url, headers }) => {
+    if (url === 'https://auth.com/token') {
+      return { status: 200, data: tokens.shift() };
+    }
+    if (headers.Authorization === 'Bearer EXPIRED') {
+      throw { response: { status: 401, data: { errors: [{ status: 401 }] } } };
+    }
+    return { status: 200, data: headers.Authorization };
+  });
+  return new JsonApi({ host: 'https://api.com', auth, transport });
+}
+
+test('ClientCredentialsAuth', async () => {
+  const auth = new ClientCredentialsAuth({ tokenUrl: 'https://auth.com/token',
+                                           clientId: 'id',
+                                           clientSecret: 'secret',
+                                           scope: 'read write' });
+  const api = makeApi(auth, [
+    { access_token: 'TOKEN1', token_type: 'bearer', expires_in: 3600 },
+    { access_token: 'TOKEN2', token_type: 'bearer', expires_in: 3600 },
+  ]);
+
+  const responses = await Promise.all([
+    api.request({ method: 'get', url: '/path' }),
+    api.request({ method: 'get', url: '/path' }),
+  ]);
+  expect(responses.map((response) => response.data)).
+    toEqual(['Bearer TOKEN1', 'Bearer TOKEN1']);
+  expect(api.transport.request).toHaveBeenCalledTimes(3);
+  expect(api.transport.request).toHaveBeenCalledWith({
+    method: 'post',
+    url: 'https://auth.com/token',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded',
+               Accept: 'application/json' },
+    data: 'grant_type=client_credentials&client_id=id&client_secret=secret' +
+      '&scope=read%20write',
+  });
+
+  // Expired token is fetched again before the request
+  auth.expiresAt = Date.now();
+  const response = await api.request({ method: 'get', url: '/path' });
+  expect(response.data).toEqual('Bearer TOKEN2');
+});
+
+test('RefreshTokenAuth refreshes on 401', async () => {
+  const onToken = jest.fn();
+  const auth = new RefreshTokenAuth({ tokenUrl: 'https://auth.com/token',
+                                      clientId: 'id',
+                                      accessToken: 'EXPIRED',
+                                      refreshToken: 'REFRESH1',
+                                      onToken });
+  const api = makeApi(auth, [
+    { access_token: 'TOKEN2', refresh_token: 'REFRESH2' },
+  ]);
+
+  const response = await api.request({ method: 'get', url: '/path' });
+  expect(response.data).toEqual('Bearer TOKEN2');
+  expect(auth.refreshToken).toEqual('REFRESH2');
+  expect(onToken).toHaveBeenCalledWith({ access_token: 'TOKEN2',
+                                         refresh_token: 'REFRESH2' });
+  expect(api.transport.request).toHaveBeenCalledWith(expect.objectContaining({
+    data: 'grant_type=refresh_token&refresh_token=REFRESH1&client_id=id',
+  }));
+});
+
+test('replacing a provider drops its refresh', async () => {
+  const auth = new RefreshTokenAuth({ tokenUrl: 'https://auth.com/token',
+                                      clientId: 'id',
+                                      accessToken: 'TOKEN1',
+                                      refreshToken: 'REFRESH1' });
+  const api = makeApi(auth, []);
+  expect(api.onUnauthorized).not.toBeNull();
+
+  api.setup({ auth: 'EXPIRED' });
+  expect(api.onUnauthorized).toBeNull();
+  await expect(api.request({ method: 'get', url: '/path' })).
+    rejects.toMatchObject({ statusCode: 401 });
+  expect(api.transport.request).not.toHaveBeenCalledWith(
+    expect.objectContaining({ url: 'https://auth.com/token' }),
+  );
+
+  // Handlers that were passed explicitly are kept
+  const onUnauthorized = jest.fn();
+  api.setup({ auth, onUnauthorized });
+  expect(api.onUnauthorized).toBe(onUnauthorized);
+  api.setup({ auth: 'TOKEN2' });
+  expect(api.onUnauthorized).toBe(onUnauthorized);
+});
@@ -0,0 +1,105 @@
+/* global test expect jest */
+
+import axios from 'axios';
+
+import { Api, expectRequestMock } from './utils';
+import { DoesNotExist } from '../src/errors';
+import { GetBatcher } from '../src/batching';
+
+jest.mock('axios');
+
+function parents(...ids) {
+  const data = ids.map((id) => ({ type: 'parents',
+                                 id,
+                                 attributes: { name: `p${id}` } }));
+  return { data: { data } };
+}
+
+test('concurrent gets are batched', async () => {
+  const api = new Api({ auth: 'MYTOKEN', batch: true });
+  axios.request.mockReset();
+  axios.request.mockResolvedValueOnce(parents('1', '3'));
+  const results = await Promise.allSettled([
+    api.Parent.get('1'),
+    api.Parent.get('2'),
+    api.Parent.get(3),
+    api.Parent.get('1'),
+  ]);
+  expect(axios.request).toHaveBeenCalledTimes(1);
+  expectRequestMock({ method: 'get',
+                      url: '/parents',
+                      params: { 'filter[id]': '1,2,3' } });
+  expect(results[0].value.get('name')).toEqual('p1');
+  expect(results[1].reason).toBeInstanceOf(DoesNotExist);
+  expect(results[1].reason.message).toEqual("parents '2' does not exist");
+  expect(results[2].value.get('name')).toEqual('p3');
+  expect(results[3].value).toBe(results[0].value);
+});
+
+test('batches are split by size and skipped with options', async () => {
+  const api = new Api({ auth: 'MYTOKEN', batch: { maxSize: 2 } });
+  expect(api.batch).toBeInstanceOf(GetBatcher);
+  axios.request.mockReset();
+  axios.request.
+    mockResolvedValueOnce(parents('1', '2')).
+    mockResolvedValueOnce(parents('3'));
+  await Promise.all([ '1', '2', '3' ].map((id) => api.Parent.get(id)));
+  expect(axios.request).toHaveBeenCalledTimes(2);
+  expectRequestMock({ method: 'get',
+                      url: '/parents',
+                      params: { 'filter[id]': '1,2' } });
+  expectRequestMock({ method: 'get',
+                      url: '/parents',
+                      params: { 'filter[id]': '3' } });
+
+  axios.request.mockResolvedValueOnce({ data: parents('4').data.data[0] });
+  await api.Parent.get('4', { include: [ 'children' ] });
+  expectRequestMock({ method: 'get',
+                      url: '/parents/4',
+                      params: { include: 'children' } });
+});
+
+test('the static field accepts the same values as the property', () => {
+  class BatchingApi extends Api {
+    static BATCH = { wait: 10 };
+  }
+  const first = new BatchingApi({ auth: 'MYTOKEN' });
+  const second = new BatchingApi({ auth: 'MYTOKEN' });
+  expect(first.batch).toBeInstanceOf(GetBatcher);
+  expect(first.batch.wait).toEqual(10);
+  expect(second.batch).not.toBe(first.batch);
+  expect(new (Api.extend({ BATCH: true }))().batch).
+    toBeInstanceOf(GetBatcher);
+});
+
+test('failed batches reject every caller', async () => {
+  const api = new Api({ auth: 'MYTOKEN', batch: true });
+  axios.request.mockReset();
+  axios.request.mockRejectedValueOnce(new Error('Network error'));
+  const results = await Promise.allSettled([ api.Parent.get('1'),
+                                             api.Parent.get('2') ]);
+  expect(results.map((result) => result.reason.message))
+    .toEqual([ 'Network error', 'Network error' ]);
+});
+
+test('connections sharing a batcher are batched separately', async () => {
+  class SharedApi extends Api {
+    static BATCH = new GetBatcher();
+  }
+  const alice = new SharedApi({ auth: 'ALICE' });
+  const bob = new SharedApi({ auth: 'BOB' });
+  axios.request.mockReset();
+  axios.request.
+    mockResolvedValueOnce(parents('1')).
+    mockResolvedValueOnce(parents('1'));
+  const [ aliceParent, bobParent ] = await Promise.all([
+    alice.Parent.get('1'),
+    bob.Parent.get('1'),
+  ]);
+  expect(axios.request).toHaveBeenCalledTimes(2);
+  expect(axios.request.mock.calls.map(([ { headers } ]) => (
+    headers.Authorization
+  ))).toEqual([ 'Bearer ALICE', 'Bearer BOB' ]);
+  expect(aliceParent.constructor.API).toBe(alice);
+  expect(bobParent.constructor.API).toBe(bob);
+});
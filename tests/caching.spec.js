@@ -0,0 +1,154 @@
+/* global test expect jest */
+
+import axios from 'axios';
+
+import { MemoryStorage, ResponseCache } from '../src/caching';
+import { Api } from './utils';
+
+jest.mock('axios');
+
+function child(name, headers = {}) {
+  return { status: 200,
+           headers,
+           data: { data: { type: 'children',
+                           id: '1',
+                           attributes: { name } } } };
+}
+
+function notModified(headers = {}) {
+  const error = new Error('Request failed with status code 304');
+  error.response = { status: 304, headers, data: '' };
+  return error;
+}
+
+test('responses are revalidated with their ETag', async () => {
+  const api = new Api({ auth: 'MYTOKEN', cache: true });
+  expect(api.cache).toBeInstanceOf(ResponseCache);
+  axios.request.mockReset();
+  axios.request.
+    mockResolvedValueOnce(child('Hercules', { etag: '"v1"' })).
+    mockRejectedValueOnce(notModified());
+
+  const first = await api.Child.get('1');
+  const second = await api.Child.get('1');
+  expect(axios.request).toHaveBeenCalledTimes(2);
+  expect(axios.request).toHaveBeenLastCalledWith({
+    method: 'get',
+    url: 'https://api.families.com/children/1',
+    params: null,
+    headers: { Authorization: 'Bearer MYTOKEN',
+               'Content-Type': 'application/vnd.api+json',
+               'If-None-Match': '"v1"' },
+    maxRedirects: 0,
+  });
+  expect(second.get('name')).toEqual('Hercules');
+  expect(second.etag).toEqual('"v1"');
+
+  // Cached bodies are not shared with the instances
+  first.set('name', 'Heracles');
+  axios.request.mockRejectedValueOnce(notModified());
+  await second.reload();
+  expect(second.get('name')).toEqual('Hercules');
+});
+
+test('fresh responses are served without a request', async () => {
+  const api = new Api({ auth: 'MYTOKEN', cache: true });
+  axios.request.mockReset();
+  axios.request.mockResolvedValue({
+    status: 200,
+    headers: { 'Cache-Control': 'max-age=60' },
+    data: { data: [ { type: 'children', id: '1' } ] },
+  });
+  await api.Child.list().fetch();
+  await api.Child.list().fetch();
+  expect(axios.request).toHaveBeenCalledTimes(1);
+
+  // A different query is a different entry
+  await api.Child.filter({ name: 'Hercules' }).fetch();
+  expect(axios.request).toHaveBeenCalledTimes(2);
+
+  const now = Date.now();
+  const spy = jest.spyOn(Date, 'now').mockReturnValue(now + 61000);
+  await api.Child.list().fetch();
+  expect(axios.request).toHaveBeenCalledTimes(3);
+  spy.mockRestore();
+});
+
+test('modifications invalidate the types they touch', async () => {
+  const storage = new MemoryStorage();
+  const api = new Api({ auth: 'MYTOKEN', cache: { storage } });
+  axios.request.mockReset();
+  axios.request.mockResolvedValueOnce({
+    status: 200,
+    headers: { 'Cache-Control': 'max-age=60' },
+    data: { data: [ { type: 'children', id: '1' } ] },
+  });
+  axios.request.mockResolvedValueOnce({
+    status: 200,
+    headers: { 'Cache-Control': 'max-age=60' },
+    data: { data: { type: 'parents', id: '2' } },
+  });
+  axios.request.mockResolvedValueOnce({
+    status: 200,
+    headers: { 'Cache-Control': 'no-store' },
+    data: { data: { type: 'items', id: '3' } },
+  });
+  await api.Child.list().fetch();
+  await api.Parent.get('2');
+  await api.Item.get('3');
+  expect(await storage.keys()).toEqual([
+    'https://api.families.com/children',
+    'https://api.families.com/parents/2',
+  ]);
+
+  // Saving a child that points to a parent touches both types
+  axios.request.mockResolvedValueOnce(child('Hercules'));
+  await api.Child.create({ name: 'Hercules',
+                           parent: { type: 'parents', id: '2' } });
+  expect(await storage.keys()).toEqual([]);
+});
+
+test('the static field accepts the same values as the property', async () => {
+  const storage = new MemoryStorage();
+  class CachingApi extends Api {
+    static CACHE = { storage };
+  }
+  const api = new CachingApi({ auth: 'MYTOKEN' });
+  expect(api.cache).toBeInstanceOf(ResponseCache);
+  axios.request.mockReset();
+  axios.request.mockResolvedValueOnce(child('Hercules', { etag: '"v1"' }));
+  await api.Child.get('1');
+  expect(await storage.keys()).toEqual([
+    'https://api.families.com/children/1',
+  ]);
+  expect(new (Api.extend({ CACHE: true }))().cache).
+    toBeInstanceOf(ResponseCache);
+});
+
+test('cached responses pass through middleware', async () => {
+  const statuses = [];
+  const api = new Api({
+    auth: 'MYTOKEN',
+    cache: true,
+    middleware: [ async (request, next) => {
+      const response = await next(request);
+      statuses.push(response.status);
+      return response;
+    } ],
+  });
+  axios.request.mockReset();
+  axios.request.
+    mockResolvedValueOnce(child('Hercules', { etag: '"v1"',
+                                              'cache-control': 'max-age=60' })).
+    mockRejectedValueOnce(notModified());
+  await api.Child.get('1');
+  await api.Child.get('1');
+  expect(axios.request).toHaveBeenCalledTimes(1);
+
+  const now = Date.now();
+  const spy = jest.spyOn(Date, 'now').mockReturnValue(now + 61000);
+  await api.Child.get('1');
+  spy.mockRestore();
+  expect(axios.request).toHaveBeenCalledTimes(2);
+  expect(statuses).toEqual([ 200, 200, 200 ]);
+});
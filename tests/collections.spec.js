@@ -3,8 +3,11 @@
 import axios from 'axios';
 
 import { Collection } from '../src/collections';
-import { DoesNotExist, MultipleObjectsReturned } from '../src/errors';
-import { api, expectRequestMock } from './utils';
+import { DoesNotExist, MultipleObjectsReturned,
+         RequestCancelled } from '../src/errors';
+import { Api, api, expectRequestMock } from './utils';
+import { belongsTo, hasMany } from '../src/schemas';
+import { Resource } from '../src/resources';
 
 jest.mock('axios');
 
@@ -13,6 +16,7 @@ function testItem(id, attributes = {}) {
     id,
     attributes,
     links: {},
+    meta: {},
     redirect: null,
     relationships: {},
     related: {},
@@ -34,6 +38,8 @@ test('list', async () => {
       _API: api,
       _url: '/items',
       _params: null,
+      meta: {},
+      links: {},
       data: [
         testItem('1', { name: 'item 1' }),
         testItem('2', { name: 'item 2' }),
@@ -68,6 +74,8 @@ test('pagination', async () => {
     _API: api,
     _url: '/items?page=2',
     _params: null,
+    meta: {},
+    links: { previous: '/items' },
     data: [testItem('3'), testItem('4')],
     next: null,
     previous: '/items',
@@ -85,6 +93,8 @@ async function testParams(items, params) {
     _API: api,
     _url: '/items',
     _params: params,
+    meta: {},
+    links: {},
     data: [],
     next: null,
     previous: null,
@@ -170,6 +180,69 @@ test('include with response', async () => {
   expect(children.data[1].get('parent').get('name')).toEqual('Hera');
 });
 
+function nestedIncludeDocument(data) {
+  return { data: {
+    data,
+    included: [
+      {
+        type: 'parents',
+        id: '3',
+        attributes: { name: 'Zeus' },
+        relationships: { children: { data: [{ type: 'children', id: '1' },
+                                            { type: 'children', id: '2' }] } },
+      },
+      {
+        type: 'children',
+        id: '2',
+        attributes: { name: 'Ares' },
+        relationships: { parent: { data: { type: 'parents', id: '3' } } },
+      },
+    ],
+  } };
+}
+
+test('include with nested and plural relationships', async () => {
+  const child = {
+    type: 'children',
+    id: '1',
+    attributes: { name: 'Hercules' },
+    relationships: { parent: { data: { type: 'parents', id: '3' },
+                               links: { related: '/parents/3' } } },
+  };
+  axios.request.mockResolvedValue(nestedIncludeDocument([child]));
+  const children = api.Child.include('parent.children');
+  await children.fetch();
+
+  const [hercules] = children.data;
+  const zeus = hercules.get('parent');
+  expect(zeus.get('name')).toEqual('Zeus');
+  expect(hercules.relationships.parent.links).toEqual({
+    related: '/parents/3',
+  });
+  expect(zeus.get('children').data[0]).toBe(hercules);
+  expect(zeus.get('children').data[1].get('name')).toEqual('Ares');
+  expect(zeus.get('children').data[1].get('parent')).toBe(zeus);
+  expect(hercules.isDirty()).toBeFalsy();
+  expect(zeus.isDirty()).toBeFalsy();
+
+  axios.request.mockResolvedValue(nestedIncludeDocument(child));
+  const single = await api.Child.get('1', { include: ['parent.children'] });
+  expect(single).toEqual(hercules);
+  expect(single.get('parent').get('children').data[0]).toBe(single);
+});
+
+test('top-level meta', async () => {
+  const children = api.Child.list();
+  expect(children.meta).toBeNull();
+  axios.request.mockResolvedValue({ data: {
+    data: [{ type: 'children', id: '1', meta: { editable: false } }],
+    meta: { total: 25 },
+  } });
+  await children.fetch();
+  expect(children.meta).toEqual({ total: 25 });
+  expect(children.data[0].meta).toEqual({ editable: false });
+});
+
 test('sort', async () => {
   let items;
 
@@ -184,21 +257,67 @@ test('sort', async () => {
 
   items = api.Item.sort('a', 'b');
   await testParams(items, { sort: 'a,b' });
+
+  items = api.Item.sort({ a: 'asc', b: 'desc' }, '-c');
+  await testParams(items, { sort: 'a,-b,-c' });
+
+  items = api.Item.orderBy('a', 'desc').thenBy('b').thenBy('-c');
+  await testParams(items, { sort: '-a,b,-c' });
+
+  items = api.Item.sort('a').orderBy('b');
+  await testParams(items, { sort: 'b' });
+
+  items = api.Item.sort('a', '-b').reverse();
+  await testParams(items, { sort: '-a,b' });
+
+  expect(() => api.Item.list().reverse())
+    .toThrow('Cannot reverse a collection that is not sorted');
+  expect(() => api.Item.orderBy('a', 'up'))
+    .toThrow("Sort direction of 'a' must be 'asc' or 'desc', not 'up'");
+});
+
+class Toy extends Resource {
+  static name = 'Toy';
+  static TYPE = 'toys';
+  static SCHEMA = { size: { type: 'object' } };
+  static RELATIONSHIPS = {
+    owner: belongsTo('children'),
+    maker: belongsTo([ 'parents', 'companies' ]),
+    friends: hasMany('toys'),
+  };
+}
+Api.register(Toy);
+
+test('sort by relationship paths', () => {
+  expect(api.Toy.sort('owner.name', 'maker.name', 'size.height')._params)
+    .toEqual({ sort: 'owner.name,maker.name,size.height' });
+  expect(() => api.Toy.sort('-parent.name'))
+    .toThrow("Cannot sort by 'parent.name', 'parent' is not a singular " +
+             'relationship of toys');
+  expect(() => api.Toy.list().thenBy('friends.name'))
+    .toThrow("Cannot sort by 'friends.name', 'friends' is not a singular " +
+             'relationship of toys');
 });
 
 test('fields', async () => {
   let items;
 
   items = api.Item.list().fields('a');
-  await testParams(items, { fields: 'a' });
+  await testParams(items, { 'fields[items]': 'a' });
 
   items = api.Item.fields('a');
-  await testParams(items, { fields: 'a' });
+  await testParams(items, { 'fields[items]': 'a' });
 
   items = api.Item.list().fields('a', 'b');
-  await testParams(items, { fields: 'a,b' });
+  await testParams(items, { 'fields[items]': 'a,b' });
 
   items = api.Item.fields('a', 'b');
+  await testParams(items, { 'fields[items]': 'a,b' });
+
+  items = api.Item.fields({ items: ['a', 'b'], children: 'c' });
+  await testParams(items, { 'fields[items]': 'a,b', 'fields[children]': 'c' });
+
+  items = new Collection(api, '/items').fields('a', 'b');
   await testParams(items, { fields: 'a,b' });
 });
 
@@ -285,6 +404,8 @@ test('fetch plural relationship', async () => {
     _API: api,
     _url: '/parents/1/children',
     _params: null,
+    meta: {},
+    links: {},
     data: [testItem('1'), testItem('2')],
     previous: null,
     next: null,
@@ -310,6 +431,8 @@ test('fetch plural relationship and apply filters', async () => {
     _API: api,
     _url: '/parents/1/children',
     _params: { 'filter[a]': 'b' },
+    meta: {},
+    links: {},
     data: [testItem('1'), testItem('2')],
     previous: null,
     next: null,
@@ -338,6 +461,8 @@ test('`allPages` generator', async () => {
       _API: api,
       _url: '/items',
       _params: null,
+      meta: {},
+      links: { next: '/items?page=2' },
       data: [testItem('1'), testItem('2')],
       next: '/items?page=2',
       previous: null,
@@ -346,6 +471,8 @@ test('`allPages` generator', async () => {
       _API: api,
       _url: '/items?page=2',
       _params: null,
+      meta: {},
+      links: { previous: '/items' },
       data: [testItem('3'), testItem('4')],
       next: null,
       previous: '/items',
@@ -377,3 +504,97 @@ test('`all` generator', async () => {
     testItem('4'),
   ]);
 });
+
+test('cancelling the `all` generator', async () => {
+  const controller = new AbortController();
+  axios.request.mockReset();
+  axios.request.
+    mockResolvedValueOnce({ data: {
+      data: [{ type: 'items', id: '1' }],
+      links: { next: '/items?page=2' },
+    } }).
+    mockImplementationOnce(({ signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+  const result = [];
+  let error = null;
+  try {
+    const items = api.Item.list();
+    for await (const item of items.all({ signal: controller.signal })) {
+      result.push(item);
+      setTimeout(() => controller.abort(), 0);
+    }
+  }
+  catch (e) {
+    error = e;
+  }
+  expect(result).toEqual([testItem('1')]);
+  expect(error).toBeInstanceOf(RequestCancelled);
+  expect(axios.request).toHaveBeenCalledTimes(2);
+});
+
+test('prefetch relationships of a collection', async () => {
+  axios.request.mockReset();
+  axios.request.mockResolvedValueOnce({ data: { data: [
+    { type: 'children',
+      id: '1',
+      relationships: { parent: { data: { type: 'parents', id: '1' } } } },
+    { type: 'children',
+      id: '2',
+      relationships: { parent: { data: { type: 'parents', id: '1' } } } },
+    { type: 'children',
+      id: '3',
+      relationships: { parent: { data: { type: 'parents', id: '2' } } } },
+    { type: 'children', id: '4', relationships: { parent: { data: null } } },
+  ] } });
+  axios.request.mockResolvedValueOnce({ data: { data: [
+    { type: 'parents',
+      id: '1',
+      attributes: { name: 'Zeus' },
+      relationships: { pets: { data: [ { type: 'pets', id: '1' },
+                                       { type: 'pets', id: '2' } ] } } },
+  ] } });
+  axios.request.mockResolvedValueOnce({ data: { data: [
+    { type: 'parents',
+      id: '2',
+      attributes: { name: 'Hera' },
+      relationships: { pets: { data: [ { type: 'pets', id: '2' } ] } } },
+  ] } });
+  axios.request.mockResolvedValueOnce({ data: { data: [
+    { type: 'pets', id: '1', attributes: { name: 'Eagle' } },
+  ] } });
+  axios.request.mockResolvedValueOnce({ data: { data: [
+    { type: 'pets', id: '2', attributes: { name: 'Peacock' } },
+  ] } });
+
+  const children = api.Child.list();
+  expect(await children.prefetch('parent', 'parent.pets', { batchSize: 1 }))
+    .toBe(children);
+  expect(axios.request).toHaveBeenCalledTimes(5);
+  expectRequestMock({ method: 'get',
+                      url: '/parents',
+                      params: { 'filter[id]': '1' } });
+  expectRequestMock({ method: 'get',
+                      url: '/parents',
+                      params: { 'filter[id]': '2' } });
+  expectRequestMock({ method: 'get',
+                      url: '/pets',
+                      params: { 'filter[id]': '1' } });
+  expectRequestMock({ method: 'get',
+                      url: '/pets',
+                      params: { 'filter[id]': '2' } });
+
+  const [ first, second, third, fourth ] = children.data;
+  expect(first.get('parent').get('name')).toEqual('Zeus');
+  expect(second.get('parent')).toBe(first.get('parent'));
+  expect(third.get('parent').get('name')).toEqual('Hera');
+  expect(fourth.get('parent')).toBeNull();
+  expect(first.get('parent').get('pets').data.map((pet) => pet.get('name')))
+    .toEqual([ 'Eagle', 'Peacock' ]);
+  expect(third.get('parent').get('pets').data[0].get('name'))
+    .toEqual('Peacock');
+
+  // Nothing left to load
+  await children.prefetch('parent');
+  expect(axios.request).toHaveBeenCalledTimes(5);
+});
@@ -0,0 +1,89 @@
+/* global test expect jest */
+
+import axios from 'axios';
+
+import { CommaFilters, JsonFilters, NestedFilters, Q, RsqlFilters, and, not,
+         or } from '../src/filters';
+import { Api, api, expectRequestMock } from './utils';
+
+jest.mock('axios');
+
+test('nested filters', () => {
+  const filters = new NestedFilters();
+  expect(filters.serialize(new Q({ a: 1,
+                                   b__c: 2,
+                                   d__gt: 3,
+                                   e__in: [ 4, 5 ],
+                                   f__between: [ 6, 7 ] })))
+    .toEqual({ 'filter[a]': 1,
+               'filter[b][c]': 2,
+               'filter[d][gt]': 3,
+               'filter[e][in]': '4,5',
+               'filter[f][between]': '6,7' });
+  expect(filters.serialize(and({ a: 1 }, new Q({ b: 2 }))))
+    .toEqual({ 'filter[a]': 1, 'filter[b]': 2 });
+  expect(filters.serialize(new Q({ id__in: [ 1, 2 ], a__id__in: [ 3 ] })))
+    .toEqual({ 'filter[id]': '1,2', 'filter[a][id][in]': '3' });
+  expect(() => filters.serialize(or({ a: 1 }, { b: 2 })))
+    .toThrow("The NestedFilters filter dialect does not support 'or'");
+  expect(() => new Q({ a__between: [ 1 ] }))
+    .toThrow("'a__between' expects a [min, max] pair");
+});
+
+test('comma filters', () => {
+  expect(new CommaFilters().serialize(new Q({ a__in: [ 1, 2 ], b__gt: 3 })))
+    .toEqual({ 'filter[a]': '1,2', 'filter[b][gt]': 3 });
+});
+
+test('json filters', () => {
+  const filters = new JsonFilters();
+  expect(JSON.parse(filters.serialize(new Q({ a: 1, b__gt: 2 })).filter))
+    .toEqual({ a: 1, b: { gt: 2 } });
+  expect(JSON.parse(
+    filters.serialize(or({ a: 1 }, not({ b__in: [ 2, 3 ] }))).filter,
+  )).toEqual({ or: [ { a: 1 }, { not: { b: { in: [ 2, 3 ] } } } ] });
+  expect(filters.serialize(new Q({}))).toEqual({});
+  expect(filters.serialize(and({}, not({})))).toEqual({});
+});
+
+test('rsql filters', () => {
+  const filters = new RsqlFilters({ param: 'q' });
+  expect(filters.serialize(new Q({ a: 1, b__gte: 2, c__in: [ 'x', 'y z' ] })))
+    .toEqual({ q: 'a==1;b=ge=2;c=in=(x,"y z")' });
+  expect(filters.serialize(and({ a: 1 }, or({ b__lt: 2 }, { c__ne: 3 }))))
+    .toEqual({ q: 'a==1;(b=lt=2,c!=3)' });
+  expect(filters.serialize(not(or({ a__in: [ 1, 2 ] },
+                                  { b__between: [ 3, 4 ] }))))
+    .toEqual({ q: 'a=out=(1,2);(b=lt=3,b=gt=4)' });
+  expect(filters.serialize(new Q({}))).toEqual({});
+  expect(filters.serialize(or({}, {}))).toEqual({});
+});
+
+test('collections use the connection filter dialect', async () => {
+  const rsqlApi = new Api({ auth: 'MYTOKEN', filters: new RsqlFilters() });
+  axios.request.mockResolvedValue({ data: { data: [] } });
+  const parent = new api.Parent({ id: '1' });
+
+  await rsqlApi.Item.
+    filter(new Q({ parent }).or({ a__gt: 1 })).
+    filter({ b: 2 }).
+    fetch();
+  expectRequestMock({ method: 'get',
+                      url: '/items',
+                      params: { filter: '(parent==1,a=gt=1);b==2' } });
+
+  await api.Item.filter({ a: 1 }).filter({ b__in: [ 2, 3 ] }).fetch();
+  expectRequestMock({ method: 'get',
+                      url: '/items',
+                      params: { 'filter[a]': 1, 'filter[b][in]': '2,3' } });
+
+  // Unfiltered requests send no filter parameter
+  const jsonApi = new Api({ auth: 'MYTOKEN', filters: new JsonFilters() });
+  axios.request.mockResolvedValue({ data: { data: [
+    { type: 'items', id: '1' },
+  ] } });
+  for (const connection of [ rsqlApi, jsonApi ]) {
+    await connection.Item.list().get();
+    expectRequestMock({ method: 'get', url: '/items', params: {} });
+  }
+});
@@ -0,0 +1,121 @@
+/* global test expect jest */
+
+import axios from 'axios';
+
+import { LazyIterator } from '../src/iterators';
+import { api } from './utils';
+
+jest.mock('axios');
+
+function mockPages() {
+  // 3 pages of 2 items with ids 1 to 6
+  axios.request.mockReset();
+  for (const number of [ 1, 2, 3 ]) {
+    const ids = [ 2 * number - 1, 2 * number ];
+    axios.request.mockResolvedValueOnce({ data: {
+      data: ids.map((id) => ({ type: 'items',
+                               id: String(id),
+                               attributes: { age: id } })),
+      links: number < 3 ? { next: `/items?page=${number + 1}` } : {},
+    } });
+  }
+}
+
+test('all returns a lazy iterator', async () => {
+  mockPages();
+  const items = api.Item.list().all();
+  expect(items).toBeInstanceOf(LazyIterator);
+  expect(axios.request).not.toHaveBeenCalled();
+  const ids = [];
+  for await (const item of items) {
+    ids.push(item.id);
+  }
+  expect(ids).toEqual([ '1', '2', '3', '4', '5', '6' ]);
+});
+
+test('all can be used as an iterator directly', async () => {
+  mockPages();
+  const items = api.Item.list().all();
+  expect((await items.next()).value.id).toEqual('1');
+  expect((await items.next()).value.id).toEqual('2');
+  expect(axios.request).toHaveBeenCalledTimes(1);
+
+  // Iteration goes on from where `.next()` left off
+  const ids = [];
+  for await (const item of items) {
+    ids.push(item.id);
+    if (item.id === '4') {
+      break;
+    }
+  }
+  expect(ids).toEqual([ '3', '4' ]);
+  expect(await items.next()).toEqual({ value: undefined, done: true });
+  expect(axios.request).toHaveBeenCalledTimes(2);
+
+  mockPages();
+  const others = api.Item.list().all();
+  await others.next();
+  expect((await others.return()).done).toBeTruthy();
+  expect(await others.next()).toEqual({ value: undefined, done: true });
+});
+
+test('map, filter and take stop fetching early', async () => {
+  mockPages();
+  const ages = await api.Item.list().
+    filter((item) => item.get('age') % 2 === 1).
+    map(async (item) => item.get('age') * 10).
+    take(2).
+    toArray();
+  expect(ages).toEqual([ 10, 30 ]);
+  expect(axios.request).toHaveBeenCalledTimes(2);
+
+  mockPages();
+  const items = await api.Item.list().toArray({ max: 2 });
+  expect(items.map((item) => item.id)).toEqual([ '1', '2' ]);
+  expect(axios.request).toHaveBeenCalledTimes(1);
+
+  mockPages();
+  expect(await api.Item.list().take(0).toArray()).toEqual([]);
+  expect(axios.request).not.toHaveBeenCalled();
+});
+
+test('chunk and reduce', async () => {
+  mockPages();
+  const chunks = await api.Item.list().
+    chunk(4).
+    map((chunk) => chunk.map((item) => item.id)).
+    toArray();
+  expect(chunks).toEqual([ [ '1', '2', '3', '4' ], [ '5', '6' ] ]);
+  expect(() => api.Item.list().chunk(0))
+    .toThrow('Chunk size must be at least 1, not 0');
+
+  mockPages();
+  const sum = await api.Item.list().
+    reduce((total, item) => total + item.get('age'), 0);
+  expect(sum).toEqual(21);
+});
+
+test('forEach with a concurrency limit', async () => {
+  mockPages();
+  let running = 0;
+  let maxRunning = 0;
+  const seen = [];
+  await api.Item.list().forEach(async (item) => {
+    running++;
+    maxRunning = Math.max(running, maxRunning);
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    seen.push(item.id);
+    running--;
+  }, { concurrency: 3 });
+  expect(seen.sort()).toEqual([ '1', '2', '3', '4', '5', '6' ]);
+  expect(maxRunning).toEqual(3);
+
+  mockPages();
+  const failing = api.Item.list().forEach((item) => {
+    if (item.id === '2') {
+      throw new Error('Failed on 2');
+    }
+  });
+  await expect(failing).rejects.toThrow('Failed on 2');
+  expect(axios.request).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,318 @@
+/* global test expect jest */
+
+import _ from 'lodash';
+import axios from 'axios';
+
+import { Api, api, expectRequestMock } from './utils';
+import { Collection } from '../src/collections';
+import { CursorPaginator, OffsetPaginator,
+         PageNumberPaginator } from '../src/paginators';
+import { Resource } from '../src/resources';
+
+jest.mock('axios');
+
+class Page extends Resource {
+  static name = 'Page';
+  static TYPE = 'pages';
+  static PAGINATOR = new PageNumberPaginator({ size: 2 });
+}
+Api.register(Page);
+class Row extends Resource {
+  static name = 'Row';
+  static TYPE = 'rows';
+  static PAGINATOR = new OffsetPaginator({ limit: 2 });
+}
+Api.register(Row);
+
+function page(type, ids, links = {}, meta = undefined) {
+  return { data: { data: ids.map((id) => ({ type, id })), links, meta } };
+}
+
+test('pagination links', async () => {
+  axios.request.mockResolvedValueOnce(page('items', ['3', '4'], {
+    self: '/items?page[number]=2',
+    first: '/items?page[number]=1',
+    last: '/items?page[number]=5',
+    prev: '/items?page[number]=1',
+    next: '/items?page[number]=3',
+  }));
+  const items = api.Item.list().extra({ 'page[number]': 2 });
+  await items.fetch();
+  expect(items.links.self).toEqual('/items?page[number]=2');
+  expect(items.hasNext).toBeTruthy();
+  expect(items.hasPrev).toBeTruthy();
+  expect(items.previous).toEqual('/items?page[number]=1');
+
+  axios.request.mockResolvedValueOnce(page('items', ['1', '2'], {
+    next: '/items?page[number]=2',
+  }));
+  const first = await items.getFirst();
+  expectRequestMock({ method: 'get',
+                      url: '/items?page[number]=1',
+                      params: null });
+  expect(first.data.map((item) => item.id)).toEqual(['1', '2']);
+  expect(first.hasPrev).toBeFalsy();
+
+  axios.request.mockResolvedValueOnce(page('items', ['9'], {
+    prev: '/items?page[number]=4',
+  }));
+  const last = await items.getLast();
+  expectRequestMock({ method: 'get',
+                      url: '/items?page[number]=5',
+                      params: null });
+  expect(last.hasNext).toBeFalsy();
+});
+
+test('cursor pagination follows links', async () => {
+  axios.request
+    .mockResolvedValueOnce(page('items', ['1', '2'], { next: '/items?c=a' }))
+    .mockResolvedValueOnce(page('items', ['3', '4'], { next: '/items?c=b' }))
+    .mockResolvedValueOnce(page('items', ['5'], {}));
+  const third = await api.Item.list().getPage(3);
+  expectRequestMock({ method: 'get', url: '/items?c=b', params: null });
+  expect(third.data.map((item) => item.id)).toEqual(['5']);
+
+  axios.request
+    .mockResolvedValueOnce(page('items', ['1', '2'], { next: '/items?c=a' }))
+    .mockResolvedValueOnce(page('items', ['3'], {}));
+  expect(await api.Item.list().count()).toEqual(3);
+
+  axios.request
+    .mockResolvedValueOnce(page('items', ['1', '2'], { next: '/items?c=a' }))
+    .mockResolvedValueOnce(page('items', ['3'], {}));
+  expect(await api.Item.list().getPage(3)).toBeNull();
+});
+
+test('page number pagination', async () => {
+  axios.request.mockResolvedValue(page('pages', ['5', '6'], {}, {
+    total: 7,
+  }));
+  const pages = api.Page.list();
+  const third = await pages.getPage(3);
+  expectRequestMock({ method: 'get',
+                      url: '/pages',
+                      params: { 'page[number]': 3, 'page[size]': 2 } });
+  expect(third.data.map((item) => item.id)).toEqual(['5', '6']);
+
+  expect(await pages.count()).toEqual(7);
+  await pages.getLast();
+  expectRequestMock({ method: 'get',
+                      url: '/pages',
+                      params: { 'page[number]': 4, 'page[size]': 2 } });
+});
+
+test('offset pagination', async () => {
+  axios.request.mockResolvedValue(page('rows', ['5', '6'], {}, {
+    page: { total: '6' },
+  }));
+  await api.Row.list().getPage(3);
+  expectRequestMock({ method: 'get',
+                      url: '/rows',
+                      params: { 'page[offset]': 4, 'page[limit]': 2 } });
+  expect(await api.Row.list().count()).toEqual(6);
+  await expect(new OffsetPaginator().getPage(api.Row.list(), 2)).rejects
+    .toThrow('OffsetPaginator needs a limit to get pages by number');
+});
+
+test('count from the last link', async () => {
+  axios.request.mockReset();
+  axios.request
+    .mockResolvedValueOnce(page('pages', ['1', '2'], {
+      next: '/pages?page[number]=2&page[size]=2',
+      last: '/pages?page[number]=4&page[size]=2',
+    }))
+    .mockResolvedValueOnce(page('pages', ['7'], {}));
+  expect(await api.Page.list().count()).toEqual(7);
+  expect(axios.request).toHaveBeenCalledTimes(2);
+
+  axios.request
+    .mockResolvedValueOnce(page('rows', ['1', '2', '3'], {
+      next: '/rows?page[offset]=3',
+      last: '/rows?page[offset]=9',
+    }))
+    .mockResolvedValueOnce(page('rows', ['10', '11'], {}));
+  expect(await api.Row.list().count()).toEqual(11);
+});
+
+test('first, last and exists', async () => {
+  axios.request.mockResolvedValueOnce(page('pages', ['1']));
+  expect((await api.Page.list().first()).id).toEqual('1');
+  expectRequestMock({ method: 'get',
+                      url: '/pages',
+                      params: { 'page[size]': 1 } });
+
+  axios.request.mockResolvedValueOnce(page('rows', []));
+  expect(await api.Row.filter({ a: 1 }).exists()).toBeFalsy();
+  expectRequestMock({ method: 'get',
+                      url: '/rows',
+                      params: { 'filter[a]': 1, 'page[limit]': 1 } });
+
+  axios.request.mockResolvedValueOnce(page('items', ['9', '8']));
+  expect((await api.Item.sort('name', '-age').last()).id).toEqual('9');
+  expectRequestMock({ method: 'get',
+                      url: '/items',
+                      params: { sort: '-name,age', 'page[size]': 1 } });
+
+  axios.request
+    .mockResolvedValueOnce(page('items', ['1', '2'], {
+      next: '/items?c=a',
+      last: '/items?c=z',
+    }))
+    .mockResolvedValueOnce(page('items', ['8', '9'], {}));
+  expect((await api.Item.list().last()).id).toEqual('9');
+  expectRequestMock({ method: 'get', url: '/items?c=z', params: null });
+
+  const fetched = api.Item.list();
+  axios.request.mockReset();
+  axios.request.mockResolvedValueOnce(page('items', ['1', '2']));
+  await fetched.fetch();
+  expect((await fetched.first()).id).toEqual('1');
+  expect((await fetched.last()).id).toEqual('2');
+  expect(await fetched.exists()).toBeTruthy();
+  expect(axios.request).toHaveBeenCalledTimes(1);
+
+  axios.request.mockResolvedValueOnce(page('items', ['1']));
+  expect(await api.Item.list().exists()).toBeTruthy();
+  expectRequestMock({ method: 'get',
+                      url: '/items',
+                      params: { 'page[size]': 1 } });
+
+  // Without a page size parameter, the whole first page is fetched
+  const unsized = new Collection(api, 'https://api.families.com/items', null, {
+    type: 'items',
+    paginator: new CursorPaginator({ sizeParam: null }),
+  });
+  axios.request.mockResolvedValueOnce(page('items', ['1', '2']));
+  expect(await unsized.exists()).toBeTruthy();
+  expectRequestMock({ method: 'get', url: '/items', params: null });
+});
+
+test('first without a first link goes back to the first page', async () => {
+  const items = api.Item.list();
+  axios.request.mockReset();
+  axios.request
+    .mockResolvedValueOnce(page('items', ['1', '2'], { next: '/items?c=a' }))
+    .mockResolvedValueOnce(page('items', ['3', '4'], {
+      prev: '/items',
+      next: '/items?c=b',
+    }));
+  await items.fetch();
+  const second = await items.getNext();
+  expect((await second.first()).id).toEqual('1');
+  expect(await second.getFirst()).toBe(items);
+  expect(axios.request).toHaveBeenCalledTimes(2);
+
+  // Without the collection the pagination started from, follow 'prev'
+  axios.request.mockReset();
+  axios.request
+    .mockResolvedValueOnce(page('items', ['5', '6'], { prev: '/items?c=a' }))
+    .mockResolvedValueOnce(page('items', ['3', '4'], { prev: '/items' }))
+    .mockResolvedValueOnce(page('items', ['1', '2'], { next: '/items?c=a' }));
+  const third = api.Item.list().extra({ c: 'b' });
+  await third.fetch();
+  expect((await third.first()).id).toEqual('1');
+  expect(axios.request).toHaveBeenCalledTimes(3);
+  expectRequestMock({ method: 'get', url: '/items', params: null });
+});
+
+test('prefetch pages in parallel', async () => {
+  axios.request.mockReset();
+  let running = 0;
+  let maxRunning = 0;
+  axios.request.mockImplementation(async ({ params }) => {
+    running++;
+    maxRunning = Math.max(running, maxRunning);
+    const number = (params || {})['page[number]'] || 1;
+    // Later pages respond faster, the order must be kept anyway
+    await new Promise((resolve) => setTimeout(resolve, 10 - 2 * number));
+    running--;
+    return page('pages', [ String(number) ], {
+      next: `/pages?page[number]=${number + 1}`,
+    }, { total: 7 });
+  });
+  const numbers = [];
+  for await (const p of api.Page.list().allPages({ prefetch: 3,
+                                                  concurrency: 2 })) {
+    numbers.push(p.data[0].id);
+  }
+  expect(numbers).toEqual([ '1', '2', '3', '4' ]);
+  expect(axios.request).toHaveBeenCalledTimes(4);
+  expect(maxRunning).toEqual(2);
+  axios.request.mockReset();
+});
+
+test('prefetch follows cursors ahead of the consumer', async () => {
+  axios.request.mockReset();
+  axios.request
+    .mockResolvedValueOnce(page('items', ['1'], { next: '/items?c=a' }))
+    .mockResolvedValueOnce(page('items', ['2'], { next: '/items?c=b' }))
+    .mockResolvedValueOnce(page('items', ['3'], {}));
+  const ids = [];
+  for await (const p of api.Item.list().allPages({ prefetch: 2 })) {
+    if (ids.length === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      // Both of the next pages were requested while we were busy
+      expect(axios.request).toHaveBeenCalledTimes(3);
+    }
+    ids.push(p.data[0].id);
+  }
+  expect(ids).toEqual([ '1', '2', '3' ]);
+  expect(axios.request).toHaveBeenCalledTimes(3);
+});
+
+function pagesServer({ url, params }) {
+  // 7 pages, with a default page size of 5
+  const query = { ...Object.fromEntries(new URL(url).searchParams),
+                  ...params };
+  const size = Number(query['page[size]'] || 5);
+  const number = Number(query['page[number]'] || 1);
+  const ids = _.range((number - 1) * size + 1,
+                      Math.min(number * size, 7) + 1).map(String);
+  const links = {};
+  if (number * size < 7) {
+    links.next = `/pages?page[number]=${number + 1}&page[size]=${size}`;
+  }
+  return Promise.resolve(page('pages', ids, links, { total: 7 }));
+}
+
+test('pages line up when the default page size is different', async () => {
+  axios.request.mockReset();
+  axios.request.mockImplementation(pagesServer);
+  const ids = [];
+  for await (const p of api.Page.list().allPages({ prefetch: 3 })) {
+    ids.push(...p.data.map((item) => item.id));
+  }
+  expect(ids).toEqual([ '1', '2', '3', '4', '5', '6', '7' ]);
+  expectRequestMock({ method: 'get',
+                      url: '/pages',
+                      params: { 'page[size]': 2 } });
+
+  // Fetched with the server's page size, the 'next' links are followed
+  ids.length = 0;
+  axios.request.mockClear();
+  const pages = new Collection(api, 'https://api.families.com/pages', null, {
+    type: 'pages',
+    paginator: api.Page.PAGINATOR,
+  });
+  for await (const p of pages.allPages({ prefetch: 3 })) {
+    ids.push(...p.data.map((item) => item.id));
+  }
+  expect(ids).toEqual([ '1', '2', '3', '4', '5', '6', '7' ]);
+  expect(axios.request).toHaveBeenCalledTimes(2);
+  axios.request.mockReset();
+});
+
+test('count from a last link with the default page size', async () => {
+  axios.request.mockReset();
+  axios.request
+    .mockResolvedValueOnce(page('pages', ['1', '2', '3', '4', '5'], {
+      next: '/pages?page[number]=2',
+      last: '/pages?page[number]=2',
+    }))
+    .mockResolvedValueOnce(page('pages', ['6', '7'], {}));
+  const pages = new Collection(api, 'https://api.families.com/pages', null, {
+    type: 'pages',
+    paginator: api.Page.PAGINATOR,
+  });
+  expect(await pages.count()).toEqual(7);
+});
@@ -2,7 +2,11 @@
 
 import axios from 'axios';
 
-import { api, expectRequestMock } from './utils';
+import { Api, api, expectRequestMock } from './utils';
+import { ConflictError, PartialSaveError, RequestCancelled,
+         ValidationError } from '../src/errors';
+import { belongsTo, hasMany } from '../src/schemas';
+import { Resource } from '../src/resources';
 
 jest.mock('axios');
 
@@ -16,6 +20,7 @@ test('Simple Resource constructor', () => {
     links: { self: '/items/1' },
     relationships: {},
     related: {},
+    meta: {},
     redirect: null,
   });
 });
@@ -34,6 +39,7 @@ test('Constructor with JSON relationship', () => {
     id: null,
     attributes: {},
     links: {},
+    meta: {},
     redirect: null,
     relationships: { parent: {
       data: { type: 'parents', id: '1' },
@@ -46,6 +52,7 @@ test('Constructor with JSON relationship', () => {
       id: '1',
       attributes: {},
       links: {},
+      meta: {},
       redirect: null,
       relationships: {},
       related: {},
@@ -62,12 +69,14 @@ test('Constructor with Resource relationship', () => {
     id: null,
     attributes: {},
     links: {},
+    meta: {},
     redirect: null,
     relationships: { parent: { data: { type: 'parents', id: '1' } } },
     related: { parent: {
       id: '1',
       attributes: {},
       links: {},
+      meta: {},
       redirect: null,
       relationships: {},
       related: {},
@@ -83,6 +92,7 @@ test('Constructor with null relationship', () => {
     id: null,
     attributes: {},
     links: {},
+    meta: {},
     redirect: null,
     relationships: { parent: null },
     related: { parent: null },
@@ -97,6 +107,7 @@ test('Constructor with resource identifier relationship', () => {
     id: null,
     attributes: {},
     links: {},
+    meta: {},
     redirect: null,
     relationships: { parent: {
       data: { type: 'parents', id: '1' },
@@ -105,6 +116,7 @@ test('Constructor with resource identifier relationship', () => {
       id: '1',
       attributes: {},
       links: {},
+      meta: {},
       redirect: null,
       relationships: {},
       related: {},
@@ -120,12 +132,14 @@ test('Constructor with magic props', () => {
       id: null,
       attributes: { name: 'the item' },
       links: {},
+      meta: {},
       redirect: null,
       relationships: { parent: { data: { type: 'parents', id: '1' } } },
       related: { parent: {
         id: '1',
         attributes: {},
         links: {},
+        meta: {},
         redirect: null,
         relationships: {},
         related: {},
@@ -157,6 +171,7 @@ test('Constructor with non-relationship array magic prop', () => {
     id: null,
     attributes: { tags: [1, 2, 3] },
     links: {},
+    meta: {},
     redirect: null,
     relationships: {},
     related: {},
@@ -165,6 +180,7 @@ test('Constructor with non-relationship array magic prop', () => {
     id: null,
     attributes: { tags: [] },
     links: {},
+    meta: {},
     redirect: null,
     relationships: {},
     related: {},
@@ -178,6 +194,7 @@ test('set', () => {
     id: null,
     attributes: { name: 'my name' },
     links: {},
+    meta: {},
     redirect: null,
     relationships: { parent: null },
     related: { parent: null },
@@ -187,12 +204,14 @@ test('set', () => {
     id: null,
     attributes: { name: 'my name' },
     links: {},
+    meta: {},
     redirect: null,
     relationships: { parent: { data: { type: 'parents', id: '1' } } },
     related: { parent: {
       id: '1',
       attributes: {},
       links: {},
+      meta: {},
       redirect: null,
       relationships: {},
       related: {},
@@ -211,6 +230,7 @@ test('reload', async () => {
     id: '1',
     attributes: { name: 'the item' },
     links: {},
+    meta: {},
     redirect: null,
     relationships: {},
     related: {},
@@ -228,6 +248,7 @@ test('static get', async () => {
     id: '1',
     attributes: { name: 'the item' },
     links: {},
+    meta: {},
     redirect: null,
     relationships: {},
     related: {},
@@ -249,6 +270,7 @@ test('fetch', async () => {
     id: '2',
     attributes: { name: 'the parent' },
     links: {},
+    meta: {},
     redirect: null,
     relationships: {},
     related: {},
@@ -257,6 +279,7 @@ test('fetch', async () => {
     id: '1',
     attributes: {},
     links: {},
+    meta: {},
     redirect: null,
     relationships: { parent: parent.asRelationship() },
     related: { parent },
@@ -293,6 +316,7 @@ test('patch', async () => {
       id: '1',
       attributes: { name: 'Bill' },
       links: {},
+      meta: {},
       redirect: null,
       relationships: { parent: { data: { type: 'parents', id: '3' } } },
       related: { parent: parent3 },
@@ -331,6 +355,7 @@ test('save new', async () => {
     id: '1',
     attributes: { name: 'John', created: 'now' },
     links: {},
+    meta: {},
     redirect: null,
     relationships: {},
     related: {},
@@ -352,6 +377,7 @@ test('create', async () => {
     id: '1',
     attributes: { name: 'John', created: 'now' },
     links: {},
+    meta: {},
     redirect: null,
     relationships: {},
     related: {},
@@ -367,6 +393,7 @@ test('delete', async () => {
     id: null,
     attributes: { name: 'John' },
     links: {},
+    meta: {},
     redirect: null,
     relationships: {},
     related: {},
@@ -455,10 +482,13 @@ test('redirect', async () => {
     headers: { Location: 'http://redirect.com' },
   }));
   await item.reload();
-  axios.get.mockResolvedValue(Promise.resolve('Redirect output'));
+  axios.request.mockResolvedValue(Promise.resolve('Redirect output'));
   const response = await item.follow();
 
-  expect(axios.get).toHaveBeenCalledWith('http://redirect.com');
+  expect(axios.request).toHaveBeenCalledWith({
+    method: 'get',
+    url: 'http://redirect.com',
+  });
   expect(response).toEqual('Redirect output');
 });
 
@@ -491,17 +521,21 @@ test('get with included plural relationship', async () => {
     _API: api,
     _url: '/parents/1/children',
     _params: null,
+    meta: null,
+    links: null,
     data: [
       {
         id: '2',
         attributes: { name: 'Hercules' },
         links: {},
+        meta: {},
         redirect: null,
         relationships: { parent: { data: { type: 'parents', id: '1' } } },
         related: { parent: {
           id: '1',
           attributes: {},
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -511,12 +545,14 @@ test('get with included plural relationship', async () => {
         id: '3',
         attributes: { name: 'Achilles' },
         links: {},
+        meta: {},
         redirect: null,
         relationships: { parent: { data: { type: 'parents', id: '1' } } },
         related: { parent: {
           id: '1',
           attributes: {},
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -526,6 +562,12 @@ test('get with included plural relationship', async () => {
     previous: null,
     next: null,
   });
+
+  // The included page is the first and the last one
+  const children = parent.get('children');
+  expect(await children.getFirst()).toBe(children);
+  expect(await children.getLast()).toBe(children);
+  expect((await children.first()).id).toEqual('2');
 });
 
 test('bulk create', async () => {
@@ -552,6 +594,8 @@ test('bulk create', async () => {
         { attributes: { name: 'item 2' }, id: '2', type: 'items' },
       ],
       _params: null,
+      meta: null,
+      links: null,
       previous: null,
       next: null,
     });
@@ -637,6 +681,8 @@ test('bulk update', async () => {
         },
       ],
       _params: null,
+      meta: null,
+      links: null,
       previous: null,
       next: null,
     });
@@ -692,6 +738,7 @@ function checkSetRelated(item, props) {
     id: null,
     attributes: {},
     links: {},
+    meta: {},
     redirect: null,
     ...props
   });
@@ -718,6 +765,7 @@ test('_setRelated singular relationship', () => {
       id: '1',
       attributes: {},
       links: {},
+      meta: {},
       redirect: null,
       relationships: {},
       related: {},
@@ -732,6 +780,7 @@ test('_setRelated singular relationship', () => {
       id: '1',
       attributes: {},
       links: {},
+      meta: {},
       redirect: null,
       relationships: {},
       related: {},
@@ -755,6 +804,7 @@ test('_setRelated singular relationship', () => {
       id: '1',
       attributes: {},
       links: {},
+      meta: {},
       redirect: null,
       relationships: {},
       related: {},
@@ -775,6 +825,7 @@ test('_setRelated singular relationship with included parent', () => {
       id: '1',
       attributes: { name: 'the parent' },
       links: {},
+      meta: {},
       redirect: null,
       relationships: {},
       related: {},
@@ -793,6 +844,7 @@ test('_setRelated singular relationship with included parent', () => {
       id: '1',
       attributes: { name: 'the parent' },
       links: {},
+      meta: {},
       redirect: null,
       relationships: {},
       related: {},
@@ -817,6 +869,7 @@ test('_setRelated singular relationship with included parent', () => {
       id: '1',
       attributes: { name: 'the parent' },
       links: {},
+      meta: {},
       redirect: null,
       relationships: {},
       related: {},
@@ -832,6 +885,8 @@ test('_setRelated plural relationship empty array', () => {
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [],
       next: null,
@@ -850,11 +905,14 @@ test('_setRelated plural relationship arrays of resource identifiers', () => {
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [{
         id: '1',
         attributes: {},
         links: {},
+        meta: {},
         redirect: null,
         relationships: {},
         related: {},
@@ -877,12 +935,15 @@ test('_setRelated plural relationship arrays of resource identifiers', () => {
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [
         {
           id: '1',
           attributes: {},
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -891,6 +952,7 @@ test('_setRelated plural relationship arrays of resource identifiers', () => {
           id: '2',
           attributes: {},
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -913,6 +975,8 @@ test('_setRelated plural relationship data field with resource identifiers', ()
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [],
       next: null,
@@ -927,11 +991,14 @@ test('_setRelated plural relationship data field with resource identifiers', ()
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [{
         id: '1',
         attributes: {},
         links: {},
+        meta: {},
         redirect: null,
         relationships: {},
         related: {},
@@ -954,12 +1021,15 @@ test('_setRelated plural relationship data field with resource identifiers', ()
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [
         {
           id: '1',
           attributes: {},
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -968,6 +1038,7 @@ test('_setRelated plural relationship data field with resource identifiers', ()
           id: '2',
           attributes: {},
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1009,6 +1080,8 @@ test('_setRelated plural relationship links and data fields with resource identi
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: 'related',
       data: [],
       next: null,
@@ -1032,11 +1105,14 @@ test('_setRelated plural relationship links and data fields with resource identi
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: 'related',
       data: [{
         id: '1',
         attributes: {},
         links: {},
+        meta: {},
         redirect: null,
         relationships: {},
         related: {},
@@ -1062,12 +1138,15 @@ test('_setRelated plural relationship links and data fields with resource identi
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: 'related',
       data: [
         {
           id: '1',
           attributes: {},
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1076,6 +1155,7 @@ test('_setRelated plural relationship links and data fields with resource identi
           id: '2',
           attributes: {},
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1097,11 +1177,14 @@ test('_setRelated plural relationship arrays of resource objects', () => {
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [{
         id: '1',
         attributes: { name: 'child 1' },
         links: {},
+        meta: {},
         redirect: null,
         relationships: {},
         related: {},
@@ -1127,12 +1210,15 @@ test('_setRelated plural relationship arrays of resource objects', () => {
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [
         {
           id: '1',
           attributes: { name: 'child 1' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1141,6 +1227,7 @@ test('_setRelated plural relationship arrays of resource objects', () => {
           id: '2',
           attributes: { name: 'child 2' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1165,11 +1252,14 @@ test('_setRelated plural relationship data field with resource objects', () => {
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [{
         id: '1',
         attributes: { name: 'child 1' },
         links: {},
+        meta: {},
         redirect: null,
         relationships: {},
         related: {},
@@ -1195,12 +1285,15 @@ test('_setRelated plural relationship data field with resource objects', () => {
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [
         {
           id: '1',
           attributes: { name: 'child 1' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1209,6 +1302,7 @@ test('_setRelated plural relationship data field with resource objects', () => {
           id: '2',
           attributes: { name: 'child 2' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1239,11 +1333,14 @@ test('_setRelated plural relationship links and data fields with resource object
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: 'related',
       data: [{
         id: '1',
         attributes: { name: 'child 1' },
         links: {},
+        meta: {},
         redirect: null,
         relationships: {},
         related: {},
@@ -1272,12 +1369,15 @@ test('_setRelated plural relationship links and data fields with resource object
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: 'related',
       data: [
         {
           id: '1',
           attributes: { name: 'child 1' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1286,6 +1386,7 @@ test('_setRelated plural relationship links and data fields with resource object
           id: '2',
           attributes: { name: 'child 2' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1311,11 +1412,14 @@ test('_setRelated plural relationship arrays of resource identifiers with includ
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [{
         id: '1',
         attributes: { name: 'child 1' },
         links: {},
+        meta: {},
         redirect: null,
         relationships: {},
         related: {},
@@ -1339,12 +1443,15 @@ test('_setRelated plural relationship arrays of resource identifiers with includ
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [
         {
           id: '1',
           attributes: { name: 'child 1' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1353,6 +1460,7 @@ test('_setRelated plural relationship arrays of resource identifiers with includ
           id: '2',
           attributes: { name: 'child 2' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1379,6 +1487,8 @@ test('_setRelated plural relationship data field with resource identifiers with
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [],
       next: null,
@@ -1393,11 +1503,14 @@ test('_setRelated plural relationship data field with resource identifiers with
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [{
         id: '1',
         attributes: { name: 'child 1' },
         links: {},
+        meta: {},
         redirect: null,
         relationships: {},
         related: {},
@@ -1421,12 +1534,15 @@ test('_setRelated plural relationship data field with resource identifiers with
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [
         {
           id: '1',
           attributes: { name: 'child 1' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1435,6 +1551,7 @@ test('_setRelated plural relationship data field with resource identifiers with
           id: '2',
           attributes: { name: 'child 2' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1467,6 +1584,8 @@ test('_setRelated plural relationship links and data fields with resource identi
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: 'related',
       data: [],
       next: null,
@@ -1491,11 +1610,14 @@ test('_setRelated plural relationship links and data fields with resource identi
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: 'related',
       data: [{
         id: '1',
         attributes: { name: 'child 1' },
         links: {},
+        meta: {},
         redirect: null,
         relationships: {},
         related: {},
@@ -1522,12 +1644,15 @@ test('_setRelated plural relationship links and data fields with resource identi
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: 'related',
       data: [
         {
           id: '1',
           attributes: { name: 'child 1' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1536,6 +1661,7 @@ test('_setRelated plural relationship links and data fields with resource identi
           id: '2',
           attributes: { name: 'child 2' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1561,11 +1687,14 @@ test('_setRelated plural relationship arrays of resource objects with includedMa
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [{
         id: '1',
         attributes: { name: 'child 3' },
         links: {},
+        meta: {},
         redirect: null,
         relationships: {},
         related: {},
@@ -1592,12 +1721,15 @@ test('_setRelated plural relationship arrays of resource objects with includedMa
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [
         {
           id: '1',
           attributes: { name: 'child 3' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1606,6 +1738,7 @@ test('_setRelated plural relationship arrays of resource objects with includedMa
           id: '2',
           attributes: { name: 'child 4' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1635,11 +1768,14 @@ test('_setRelated plural relationship data field with resource objects with incl
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [{
         id: '1',
         attributes: { name: 'child 3' },
         links: {},
+        meta: {},
         redirect: null,
         relationships: {},
         related: {},
@@ -1666,12 +1802,15 @@ test('_setRelated plural relationship data field with resource objects with incl
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: null,
       data: [
         {
           id: '1',
           attributes: { name: 'child 3' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1680,6 +1819,7 @@ test('_setRelated plural relationship data field with resource objects with incl
           id: '2',
           attributes: { name: 'child 4' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1715,11 +1855,14 @@ test('_setRelated plural relationship links and data fields with resource object
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: 'related',
       data: [{
         id: '1',
         attributes: { name: 'child 3' },
         links: {},
+        meta: {},
         redirect: null,
         relationships: {},
         related: {},
@@ -1749,12 +1892,15 @@ test('_setRelated plural relationship links and data fields with resource object
     related: { children: {
       _API: api,
       _params: null,
+      meta: null,
+      links: null,
       _url: 'related',
       data: [
         {
           id: '1',
           attributes: { name: 'child 3' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1763,6 +1909,7 @@ test('_setRelated plural relationship links and data fields with resource object
           id: '2',
           attributes: { name: 'child 4' },
           links: {},
+          meta: {},
           redirect: null,
           relationships: {},
           related: {},
@@ -1792,3 +1939,679 @@ test('reloading does not overwrite pre-fetched relationship (plural)', () => {
   expect(parent.get('children').data[0].get('name')).toEqual('child 1');
   expect(parent.get('children').data[1].get('name')).toEqual('child 2');
 });
+
+test('cancelled get', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  axios.request.mockClear();
+  await expect(api.Item.get('1', { signal: controller.signal })).
+    rejects.toBeInstanceOf(RequestCancelled);
+  await expect(new api.Item({ id: '1' }).save({ name: 'the item' },
+                                              null,
+                                              { signal: controller.signal })).
+    rejects.toBeInstanceOf(RequestCancelled);
+  expect(axios.request).not.toHaveBeenCalled();
+});
+
+test('dirty tracking', () => {
+  const parent1 = new api.Parent({ id: '1' });
+  const parent2 = new api.Parent({ id: '2' });
+  const child = api.new({ type: 'children',
+                          id: '1',
+                          name: 'Hercules',
+                          tags: ['strong'],
+                          parent: parent1 });
+  expect(child.isDirty()).toBeFalsy();
+  expect(child.changedFields()).toEqual([]);
+
+  child.set('name', 'Heracles');
+  child.get('tags').push('brave');
+  child.set('parent', parent2);
+  expect(child.isDirty()).toBeTruthy();
+  expect(child.changedFields()).toEqual(['name', 'tags', 'parent']);
+  expect(child.changes()).toEqual({
+    name: { old: 'Hercules', new: 'Heracles' },
+    tags: { old: ['strong'], new: ['strong', 'brave'] },
+    parent: { old: { type: 'parents', id: '1' },
+              new: { type: 'parents', id: '2' } },
+  });
+
+  child.revert();
+  expect(child.isDirty()).toBeFalsy();
+  expect(child.get('name')).toEqual('Hercules');
+  expect(child.get('tags')).toEqual(['strong']);
+  expect(child.get('parent').id).toEqual('1');
+
+  child.set('name', 'Heracles');
+  child.rollback();
+  expect(child.get('name')).toEqual('Hercules');
+
+  const newChild = new api.Child({ name: 'Achilles' });
+  expect(newChild.changedFields()).toEqual(['name']);
+});
+
+test('fields given to the constructor are changes, even with an id', async () => {
+  const child = new api.Child({ id: '1', name: 'Bill' });
+  expect(child.changedFields()).toEqual(['name']);
+
+  axios.request.mockReset();
+  axios.request.mockResolvedValue({ data: { data: {
+    type: 'children',
+    id: '1',
+    attributes: { name: 'Bill', age: 8 },
+  } } });
+  await child.save();
+  expectRequestMock({
+    method: 'patch',
+    url: '/children/1',
+    data: { data: { type: 'children',
+                    id: '1',
+                    attributes: { name: 'Bill' } } },
+  });
+  expect(child.isDirty()).toBeFalsy();
+  expect(child.get('age')).toEqual(8);
+});
+
+test('save sends only changed fields', async () => {
+  const child = api.new({ type: 'children',
+                          id: '1',
+                          name: 'Hercules',
+                          age: 20,
+                          parent: new api.Parent({ id: '1' }) });
+  axios.request.mockClear();
+  await child.save();
+  expect(axios.request).not.toHaveBeenCalled();
+
+  child.set('age', 21);
+  axios.request.mockResolvedValue(Promise.resolve({ data: { data: {
+    type: 'children',
+    id: '1',
+    attributes: { name: 'Hercules', age: 21 },
+    relationships: { parent: { data: { type: 'parents', id: '1' } } },
+  } } }));
+  await child.save();
+  expectRequestMock({
+    method: 'patch',
+    url: '/children/1',
+    data: { data: { type: 'children', id: '1', attributes: { age: 21 } } },
+  });
+  expect(child.isDirty()).toBeFalsy();
+});
+
+test('merging into a resource keeps local changes', () => {
+  const child = api.new({ type: 'children',
+                          id: '1',
+                          name: 'Hercules',
+                          age: 20 });
+  child.set('name', 'Heracles');
+  child._merge({ attributes: { name: 'Hercules', age: 21 } });
+  expect(child.attributes).toEqual({ name: 'Heracles', age: 21 });
+  expect(child.changes()).toEqual({
+    name: { old: 'Hercules', new: 'Heracles' },
+  });
+});
+
+class Pet extends Resource {
+  static name = 'Pet';
+  static TYPE = 'pets';
+  static SCHEMA = {
+    name: { type: 'string', required: true },
+    legs: { type: Number, default: 4 },
+    born: Date,
+    kind: { type: 'enum', values: ['dog', 'cat'] },
+    tags: { type: 'any', default: () => [] },
+    created: { type: Date, readOnly: true },
+  };
+
+  static RELATIONSHIPS = {
+    owner: belongsTo('owners', { inverse: 'pets' }),
+    toys: hasMany([ 'balls', 'bones' ]),
+  };
+}
+Api.register(Pet);
+class Owner extends Resource {
+  static name = 'Owner';
+  static TYPE = 'owners';
+  static RELATIONSHIPS = { pets: hasMany('pets', { inverse: 'owner' }) };
+}
+Api.register(Owner);
+
+test('schema converts attributes and applies defaults', () => {
+  const pet = api.new({ type: 'pets', id: '1', attributes: {
+    name: 'Rex',
+    born: '2020-01-02T00:00:00.000Z',
+    created: '2020-02-03T00:00:00.000Z',
+  } });
+  expect(pet.get('born')).toEqual(new Date('2020-01-02T00:00:00.000Z'));
+  expect(pet.get('created')).toBeInstanceOf(Date);
+  expect(pet.get('legs')).toBeUndefined();
+  expect(pet.isDirty()).toBeFalsy();
+
+  pet.set('born', '2021-01-02T00:00:00.000Z');
+  expect(pet.get('born')).toEqual(new Date('2021-01-02T00:00:00.000Z'));
+
+  const newPet = new api.Pet({ name: 'Tom',
+                               tags: [{ type: 'tags', id: '1' }] });
+  expect(newPet.attributes).toEqual({ name: 'Tom',
+                                      legs: 4,
+                                      tags: [{ type: 'tags', id: '1' }] });
+  expect(newPet.relationships).toEqual({});
+  expect(new api.Pet().get('tags')).not.toBe(new api.Pet().get('tags'));
+});
+
+test('save serializes attributes and skips read-only ones', async () => {
+  const pet = api.new({ type: 'pets', id: '1', attributes: {
+    name: 'Rex',
+    born: '2020-01-02T00:00:00.000Z',
+    created: '2020-02-03T00:00:00.000Z',
+  } });
+  pet.set('created', new Date());
+  axios.request.mockClear();
+  await pet.save();
+  expect(axios.request).not.toHaveBeenCalled();
+
+  pet.set('born', new Date('2021-01-02T00:00:00.000Z'));
+  axios.request.mockResolvedValue({ data: { data: {
+    type: 'pets',
+    id: '1',
+    attributes: { name: 'Rex',
+                  born: '2021-01-02T00:00:00.000Z',
+                  created: '2020-02-03T00:00:00.000Z' },
+  } } });
+  await pet.save();
+  expectRequestMock({
+    method: 'patch',
+    url: '/pets/1',
+    data: { data: { type: 'pets',
+                    id: '1',
+                    attributes: { born: '2021-01-02T00:00:00.000Z' } } },
+  });
+  expect(pet.get('born')).toEqual(new Date('2021-01-02T00:00:00.000Z'));
+  expect(pet.isDirty()).toBeFalsy();
+});
+
+test('validation errors prevent saving', async () => {
+  const pet = new api.Pet({ legs: 'four', kind: 'bird' });
+  expect(() => pet.validate()).toThrow(ValidationError);
+  try {
+    pet.validate();
+  }
+  catch (e) {
+    expect(e.errors).toEqual({ name: ['is required'],
+                               legs: ['must be a number'],
+                               kind: ['must be one of dog, cat'] });
+  }
+
+  axios.request.mockClear();
+  await expect(pet.save()).rejects.toThrow(ValidationError);
+  await expect(api.Pet.create({ kind: 'dog' })).rejects.toThrow(
+    'name: is required',
+  );
+  expect(axios.request).not.toHaveBeenCalled();
+});
+
+test('declared relationships accept bare ids and empty lists', () => {
+  const pet = new api.Pet({ name: 'Rex', owner: '1', toys: [] });
+  expect(pet.attributes).toEqual({ name: 'Rex', legs: 4, tags: [] });
+  expect(pet.relationships).toEqual({
+    owner: { data: { type: 'owners', id: '1' } },
+    toys: { data: [] },
+  });
+  expect(pet.get('owner')).toBeInstanceOf(api.Owner);
+  expect(pet.get('toys').data).toEqual([]);
+
+  expect(() => new api.Pet({ owner: { type: 'parents', id: '1' } })).toThrow(
+    "Relationship 'owner' cannot point to 'parents', expected owners",
+  );
+  expect(() => new api.Pet({ toys: ['1'] })).toThrow(
+    "Cannot set relationship 'toys' with a bare id, its type is ambiguous",
+  );
+});
+
+test('declared relationships with only meta', async () => {
+  axios.request.mockResolvedValue({ data: { data: {
+    type: 'pets',
+    id: '1',
+    attributes: { name: 'Rex' },
+    relationships: { owner: { meta: { hidden: true } },
+                     toys: { meta: { count: 2 } } },
+  } } });
+  const pet = await api.Pet.get('1');
+  expect(pet.relationships).toEqual({ owner: { meta: { hidden: true } },
+                                      toys: { meta: { count: 2 } } });
+  expect(pet.isDirty()).toBeFalsy();
+});
+
+test('set declared relationships that have not been loaded', async () => {
+  const pet = api.new({ type: 'pets', id: '1', attributes: { name: 'Rex' } });
+  pet.set('owner', '2');
+  pet.set('toys', [{ type: 'balls', id: '1' }, api.new({ type: 'bones', id: '2' })]);
+  expect(pet.changedFields()).toEqual(['owner', 'toys']);
+
+  axios.request.mockResolvedValue({ data: { data: {
+    type: 'pets',
+    id: '1',
+    attributes: { name: 'Rex' },
+    relationships: {
+      owner: { data: { type: 'owners', id: '2' } },
+      toys: { data: [{ type: 'balls', id: '1' }, { type: 'bones', id: '2' }] },
+    },
+  } } });
+  await pet.save();
+  expectRequestMock({
+    method: 'patch',
+    url: '/pets/1',
+    data: { data: {
+      type: 'pets',
+      id: '1',
+      relationships: {
+        owner: { data: { type: 'owners', id: '2' } },
+        toys: { data: [{ type: 'balls', id: '1' },
+                       { type: 'bones', id: '2' }] },
+      },
+    } },
+  });
+
+  axios.request.mockResolvedValue({});
+  await pet.change('owner', '3');
+  expectRequestMock({
+    method: 'patch',
+    url: '/pets/1/relationships/owner',
+    data: { data: { type: 'owners', id: '3' } },
+  });
+});
+
+test('revert drops relationships that were set locally', () => {
+  const pet = api.new({ type: 'pets',
+                        id: '1',
+                        attributes: { name: 'Rex' },
+                        relationships: {
+                          toys: { links: { related: '/pets/1/toys' } },
+                        } });
+  pet.set('owner', '2');
+  expect(pet.changedFields()).toEqual(['owner']);
+
+  pet.revert();
+  expect(pet.relationships).toEqual({
+    toys: { links: { related: '/pets/1/toys' } },
+  });
+  expect('owner' in pet.related).toBeFalsy();
+  expect(pet.changedFields()).toEqual([]);
+
+  pet.set('owner', '3');
+  expect(pet.changedFields()).toEqual(['owner']);
+});
+
+test('setting a relationship updates the fetched inverse', () => {
+  const owner1 = new api.Owner({ id: '1', pets: [] });
+  const owner2 = new api.Owner({ id: '2', pets: [] });
+  const pet = new api.Pet({ id: '1', name: 'Rex', owner: owner1 });
+  owner1.get('pets').data.push(pet);
+
+  pet.set('owner', owner2);
+  expect(owner1.get('pets').data).toEqual([]);
+  expect(owner2.get('pets').data).toEqual([pet]);
+  expect(owner2.relationships.pets).toEqual({ data: [] });
+
+  pet.set('owner', owner2);
+  expect(owner2.get('pets').data).toEqual([pet]);
+});
+
+test('meta is kept through reload and save', async () => {
+  axios.request.mockResolvedValue({ data: { data: {
+    type: 'children',
+    id: '1',
+    attributes: { name: 'Hercules' },
+    meta: { permissions: ['edit'] },
+    relationships: { parent: { data: { type: 'parents', id: '2' },
+                               meta: { since: '2001' } },
+                     pets: { meta: { count: 3 } } },
+  } } });
+  const child = await api.Child.get('1');
+  expect(child.meta).toEqual({ permissions: ['edit'] });
+  expect(child.relationships.parent.meta).toEqual({ since: '2001' });
+  expect(child.relationships.pets).toEqual({ meta: { count: 3 } });
+
+  child.set('name', 'Heracles');
+  axios.request.mockResolvedValue({ data: { data: {
+    type: 'children',
+    id: '1',
+    attributes: { name: 'Heracles' },
+    meta: { permissions: ['edit'], updated: '2020' },
+    relationships: { parent: { data: { type: 'parents', id: '2' },
+                               meta: { since: '2001' } },
+                     pets: { meta: { count: 3 } } },
+  } } });
+  await child.save(null, null, { meta: { reason: 'typo' } });
+  expectRequestMock({
+    method: 'patch',
+    url: '/children/1',
+    data: { data: { type: 'children',
+                    id: '1',
+                    attributes: { name: 'Heracles' },
+                    meta: { reason: 'typo' } } },
+  });
+  expect(child.meta).toEqual({ permissions: ['edit'], updated: '2020' });
+  expect(child.relationships.parent.meta).toEqual({ since: '2001' });
+
+  axios.request.mockResolvedValue({});
+  await child.change('parent', new api.Parent({ id: '3' }),
+                     { meta: { reason: 'adoption' } });
+  expectRequestMock({
+    method: 'patch',
+    url: '/children/1/relationships/parent',
+    data: { data: { type: 'parents', id: '3' },
+            meta: { reason: 'adoption' } },
+  });
+});
+
+test('sparse fieldsets', async () => {
+  axios.request.mockResolvedValue({ data: {
+    data: {
+      type: 'children',
+      id: '1',
+      attributes: { name: 'Hercules' },
+      relationships: { parent: { data: { type: 'parents', id: '2' } } },
+    },
+    included: [{ type: 'parents', id: '2', attributes: { name: 'Zeus' } }],
+  } });
+  const child = await api.Child.get('1', {
+    include: ['parent'],
+    fields: { children: ['name', 'parent'], parents: ['name'] },
+  });
+  expectRequestMock({
+    method: 'get',
+    url: '/children/1',
+    params: { include: 'parent',
+              'fields[children]': 'name,parent',
+              'fields[parents]': 'name' },
+  });
+  expect(child.isLoaded('name')).toBeTruthy();
+  expect(child.isLoaded('age')).toBeFalsy();
+  expect(child.get('parent').isLoaded('email')).toBeFalsy();
+
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(child.get('age')).toBeUndefined();
+  expect(warn).toHaveBeenCalledWith(
+    "'age' was left out of children '1' by a sparse fieldset, use `.load()` " +
+    'to fetch it',
+  );
+  child.get('age');
+  expect(warn).toHaveBeenCalledTimes(1);
+  warn.mockRestore();
+
+  child.set('name', 'Heracles');
+  axios.request.mockResolvedValue({ data: { data: {
+    type: 'children',
+    id: '1',
+    attributes: { age: 20 },
+  } } });
+  expect(await child.load('age')).toEqual(20);
+  expectRequestMock({
+    method: 'get',
+    url: '/children/1',
+    params: { 'fields[children]': 'age' },
+  });
+  expect(child.get('name')).toEqual('Heracles');
+  expect(child.changedFields()).toEqual(['name']);
+  expect(child.isLoaded('age')).toBeTruthy();
+
+  axios.request.mockClear();
+  expect(await child.load('age')).toEqual(20);
+  expect(axios.request).not.toHaveBeenCalled();
+
+  axios.request.mockResolvedValue({ data: { data: {
+    type: 'children', id: '1', attributes: { name: 'Hercules' },
+  } } });
+  await child.reload();
+  expect(child.isLoaded('age')).toBeTruthy();
+});
+
+test('new resources refer to each other with lids', async () => {
+  const parent = new api.Parent({ name: 'Zeus' });
+  const child = new api.Child({ name: 'Hercules', parent });
+  expect(parent.lid).toMatch(/^lid-\d+$/);
+  expect(parent.asResourceIdentifier())
+    .toEqual({ type: 'parents', lid: parent.lid });
+  expect(child._generateDataForSaving([ 'parent' ])).toEqual({ relationships: {
+    parent: { data: { type: 'parents', lid: parent.lid } },
+  } });
+
+  axios.request.mockResolvedValue({ data: { data: {
+    type: 'parents', id: '1', attributes: { name: 'Zeus' },
+  } } });
+  await parent.save();
+  expect(parent.asResourceIdentifier()).toEqual({ type: 'parents', id: '1' });
+  expect(child.relationships.parent)
+    .toEqual({ data: { type: 'parents', id: '1' } });
+  expect(child.get('parent')).toBe(parent);
+  expect(child.changedFields()).toEqual([ 'name', 'parent' ]);
+});
+
+test('save with new related resources, one request at a time', async () => {
+  const owner = new api.Owner({ name: 'Zeus' });
+  const pets = [ 'Cerberus', 'Pegasus' ].map((name) => (
+    new api.Pet({ name, owner })
+  ));
+  owner.set('pets', pets);
+
+  axios.request.mockReset();
+  for (const [ type, id, name ] of [ [ 'owners', '1', 'Zeus' ],
+                                     [ 'pets', '2', 'Cerberus' ],
+                                     [ 'pets', '3', 'Pegasus' ] ]) {
+    axios.request.mockResolvedValueOnce({ data: { data: {
+      type, id, attributes: { name },
+    } } });
+  }
+  await owner.save(null, null, { withRelated: ['pets'] });
+
+  // The pets point back to the owner, so they are created after it
+  expect(axios.request.mock.calls.map(([ { data } ]) => data.data)).toEqual([
+    { type: 'owners', attributes: { name: 'Zeus' } },
+    ...[ 'Cerberus', 'Pegasus' ].map((name) => ({
+      type: 'pets',
+      attributes: { name, legs: 4, tags: [] },
+      relationships: { owner: { data: { type: 'owners', id: '1' } } },
+    })),
+  ]);
+  expect(owner.relationships.pets).toEqual({ data: [
+    { type: 'pets', id: '2' },
+    { type: 'pets', id: '3' },
+  ] });
+  expect(owner.get('pets').data).toEqual(pets);
+  expect(owner.isDirty()).toBeFalsy();
+
+  // The owner doesn't point to the pet, so it is created first
+  const pet = new api.Pet({ name: 'Nemean Lion',
+                            owner: new api.Owner({ name: 'Hera' }) });
+  axios.request.mockReset();
+  axios.request.
+    mockResolvedValueOnce({ data: { data: { type: 'owners', id: '4' } } }).
+    mockResolvedValueOnce({ data: { data: { type: 'pets', id: '5' } } });
+  await pet.save(null, null, { withRelated: ['owner'] });
+  expect(axios.request.mock.calls.map(([ { data } ]) => data.data)).toEqual([
+    { type: 'owners', attributes: { name: 'Hera' } },
+    { type: 'pets',
+      attributes: { name: 'Nemean Lion', legs: 4, tags: [] },
+      relationships: { owner: { data: { type: 'owners', id: '4' } } } },
+  ]);
+  expect(pet.get('owner').id).toEqual('4');
+});
+
+test('save with new related resources in a compound document', async () => {
+  const sidepostingApi = new Api({ auth: 'MYTOKEN',
+                                   sideposting: 'https://example.com/ext' });
+  const owner = new sidepostingApi.Owner({ name: 'Zeus' });
+  const pet = new sidepostingApi.Pet({ name: 'Cerberus', owner });
+  owner.set('pets', [pet]);
+
+  axios.request.mockReset();
+  axios.request.mockResolvedValueOnce({ data: {
+    data: { type: 'owners',
+            id: '1',
+            attributes: { name: 'Zeus' },
+            relationships: { pets: { data: [ { type: 'pets', id: '2' } ] } } },
+    included: [ { type: 'pets',
+                  id: '2',
+                  lid: pet.lid,
+                  attributes: { name: 'Cerberus', legs: 3 } } ],
+  } });
+  await owner.save(null, null, { withRelated: ['pets'] });
+
+  expect(axios.request).toHaveBeenCalledWith({
+    method: 'post',
+    url: 'https://api.families.com/owners',
+    headers: {
+      Authorization: 'Bearer MYTOKEN',
+      'Content-Type': 'application/vnd.api+json;ext="https://example.com/ext"',
+    },
+    maxRedirects: 0,
+    data: {
+      data: { type: 'owners',
+              lid: owner.lid,
+              attributes: { name: 'Zeus' },
+              relationships: { pets: { data: [ { type: 'pets',
+                                                 lid: pet.lid } ] } } },
+      included: [ { type: 'pets',
+                    lid: pet.lid,
+                    attributes: { name: 'Cerberus', legs: 4, tags: [] },
+                    relationships: { owner: { data: { type: 'owners',
+                                                      lid: owner.lid } } } } ],
+    },
+  });
+  expect(pet.id).toEqual('2');
+  expect(pet.get('legs')).toEqual(3);
+  expect(pet.relationships.owner).toEqual({ data: { type: 'owners',
+                                                    id: '1' } });
+  expect(owner.get('pets').data).toEqual([pet]);
+});
+
+test('failed save with new related resources', async () => {
+  const owner = new api.Owner({ name: 'Zeus' });
+  const pets = [ 'Cerberus', 'Pegasus' ].map((name) => (
+    new api.Pet({ name, owner })
+  ));
+  owner.set('pets', pets);
+
+  axios.request.mockReset();
+  axios.request.
+    mockResolvedValueOnce({ data: { data: { type: 'owners', id: '1' } } }).
+    mockResolvedValueOnce({ data: { data: { type: 'pets', id: '2' } } }).
+    mockRejectedValueOnce(new Error('Network error'));
+  let error;
+  try {
+    await owner.save(null, null, { withRelated: ['pets'] });
+  }
+  catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(PartialSaveError);
+  expect(error.message).toEqual(
+    'Saving stopped after creating 2 resource(s), 1 left unsaved: Network ' +
+    'error',
+  );
+  expect(error.cause.message).toEqual('Network error');
+  expect(error.created).toEqual([ owner, pets[0] ]);
+  expect(error.unsaved).toEqual([pets[1]]);
+
+  axios.request.mockReset();
+  axios.request.mockResolvedValue({});
+  await error.rollback();
+  expect(axios.request.mock.calls.map(([ { method, url } ]) => (
+    `${method} ${url}`
+  ))).toEqual([ 'delete https://api.families.com/pets/2',
+                'delete https://api.families.com/owners/1' ]);
+  expect(owner.id).toBeNull();
+
+  // Invalid resources fail before anything is sent
+  axios.request.mockReset();
+  const invalid = new api.Owner({ pets: [new api.Pet({})] });
+  await expect(invalid.save(null, null, { withRelated: ['pets'] })).
+    rejects.toThrow(ValidationError);
+  expect(axios.request).not.toHaveBeenCalled();
+});
+
+test('ETags are sent as If-Match and conflicts are reported', async () => {
+  const child = new api.Child({ id: '1' });
+  axios.request.mockReset();
+  axios.request.mockResolvedValueOnce({
+    headers: { etag: '"v1"' },
+    data: { data: { type: 'children',
+                    id: '1',
+                    attributes: { name: 'Hercules' } } },
+  });
+  await child.reload();
+  expect(child.etag).toEqual('"v1"');
+
+  child.set('name', 'Heracles');
+  axios.request.mockResolvedValueOnce({
+    headers: { ETag: '"v2"' },
+    data: { data: { type: 'children',
+                    id: '1',
+                    attributes: { name: 'Heracles' } } },
+  });
+  await child.save();
+  expect(axios.request).toHaveBeenLastCalledWith({
+    method: 'patch',
+    url: 'https://api.families.com/children/1',
+    headers: { Authorization: 'Bearer MYTOKEN',
+               'Content-Type': 'application/vnd.api+json',
+               'If-Match': '"v1"' },
+    maxRedirects: 0,
+    data: { data: { type: 'children',
+                    id: '1',
+                    attributes: { name: 'Heracles' } } },
+  });
+  expect(child.etag).toEqual('"v2"');
+
+  child.set('name', 'Alcides');
+  const preconditionFailed = new Error('Precondition Failed');
+  preconditionFailed.response = { status: 412, data: '' };
+  axios.request.
+    mockRejectedValueOnce(preconditionFailed).
+    mockResolvedValueOnce({
+      headers: { etag: '"v3"' },
+      data: { data: { type: 'children',
+                      id: '1',
+                      attributes: { name: 'Hercules the Great' } } },
+    });
+  let error;
+  try {
+    await child.save();
+  }
+  catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(ConflictError);
+  expect(error.message).toEqual("children '1' was modified on the server");
+  expect(error.resource).toBe(child);
+  expect(error.current).not.toBe(child);
+  expect(error.current.get('name')).toEqual('Hercules the Great');
+  expect(error.current.etag).toEqual('"v3"');
+  expect(child.get('name')).toEqual('Alcides');
+  expect(child.changedFields()).toEqual(['name']);
+});
+
+test('versions from meta are sent as If-Match', async () => {
+  class Document extends Resource {
+    static name = 'Document';
+    static TYPE = 'documents';
+    static VERSION_META = 'version';
+  }
+  class VersionedApi extends Api {}
+  VersionedApi.register(Document);
+  const versionedApi = new VersionedApi({ auth: 'MYTOKEN' });
+
+  const document = new versionedApi.Document({ id: '1', meta: { version: 3 } });
+  axios.request.mockReset();
+  axios.request.mockResolvedValueOnce({ status: 204, data: '' });
+  await document.delete();
+  expect(axios.request).toHaveBeenCalledWith({
+    method: 'delete',
+    url: 'https://api.families.com/documents/1',
+    headers: { Authorization: 'Bearer MYTOKEN',
+               'Content-Type': 'application/vnd.api+json',
+               'If-Match': '"3"' },
+    maxRedirects: 0,
+  });
+});
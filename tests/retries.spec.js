@@ -0,0 +1,77 @@
+/* global test expect jest */
+
+import { RetryPolicy } from '../src/retries';
+import { sleep } from '../src/utils';
+
+function failure(status, headers = {}) {
+  return { response: { status, headers } };
+}
+
+test('RetryPolicy only retries idempotent methods by default', () => {
+  const policy = new RetryPolicy({ jitter: false });
+  expect(policy.getDelay(1, { method: 'get' }, failure(503))).toBe(500);
+  expect(policy.getDelay(1, { method: 'DELETE' }, failure(503))).toBe(500);
+  expect(policy.getDelay(1, { method: 'post' }, failure(503))).toBeNull();
+  expect(policy.getDelay(1, { method: 'patch' }, failure(503))).toBeNull();
+
+  const postPolicy = new RetryPolicy({ methods: [ 'post' ] });
+  expect(postPolicy.getDelay(1, { method: 'post' }, failure(503))).
+    not.toBeNull();
+});
+
+test('RetryPolicy statuses and codes', () => {
+  const policy = new RetryPolicy();
+  const request = { method: 'get' };
+  expect(policy.getDelay(1, request, failure(429))).not.toBeNull();
+  expect(policy.getDelay(1, request, failure(400))).toBeNull();
+  expect(policy.getDelay(1, request, { code: 'ECONNRESET' })).not.toBeNull();
+  expect(policy.getDelay(1, request, new Error('boom'))).toBeNull();
+});
+
+test('RetryPolicy backoff', () => {
+  const policy = new RetryPolicy({ maxAttempts: 10,
+                                   baseDelay: 100,
+                                   maxDelay: 1000,
+                                   jitter: false });
+  const request = { method: 'get' };
+  expect(policy.getDelay(1, request, failure(503))).toBe(100);
+  expect(policy.getDelay(2, request, failure(503))).toBe(200);
+  expect(policy.getDelay(3, request, failure(503))).toBe(400);
+  expect(policy.getDelay(5, request, failure(503))).toBe(1000);
+  expect(policy.getDelay(10, request, failure(503))).toBeNull();
+
+  const jittery = new RetryPolicy({ baseDelay: 100 });
+  for (let i = 0; i < 10; i++) {
+    const delay = jittery.getDelay(2, request, failure(503));
+    expect(delay).toBeGreaterThanOrEqual(0);
+    expect(delay).toBeLessThanOrEqual(200);
+  }
+});
+
+test('RetryPolicy honors Retry-After', () => {
+  const policy = new RetryPolicy({ maxDelay: 5000 });
+  const request = { method: 'get' };
+  expect(policy.getDelay(1, request, failure(429, { 'retry-after': '2' }))).
+    toBe(2000);
+  expect(policy.getDelay(1, request, failure(429, { 'Retry-After': '60' }))).
+    toBe(5000);
+  const date = new Date(Date.now() + 3000).toUTCString();
+  const delay = policy.getDelay(1,
+                                request,
+                                failure(503, { 'retry-after': date }));
+  expect(delay).toBeGreaterThan(1000);
+  expect(delay).toBeLessThanOrEqual(3000);
+});
+
+test('sleeping between retries removes its abort listener', async () => {
+  const signal = { aborted: false,
+                   addEventListener: jest.fn(),
+                   removeEventListener: jest.fn() };
+  await sleep(1, signal);
+  expect(signal.addEventListener).toHaveBeenCalledWith(
+    'abort', expect.any(Function), { once: true },
+  );
+  expect(signal.removeEventListener).toHaveBeenCalledWith(
+    'abort', signal.addEventListener.mock.calls[0][1],
+  );
+});
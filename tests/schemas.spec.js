@@ -0,0 +1,51 @@
+/* global test expect */
+
+import { deserialize, serialize, validate } from '../src/schemas';
+
+const schema = {
+  age: 'number',
+  married: Boolean,
+  address: { type: 'object', schema: { city: { type: 'string',
+                                               required: true },
+                                       since: Date } },
+  nickname: { type: 'string',
+              validate: (value) => (value.length > 10 ? 'is too long' : null) },
+};
+
+test('deserialize and serialize', () => {
+  const attributes = deserialize(schema, {
+    age: '12',
+    married: 'false',
+    address: { city: 'Athens', since: '2020-01-02T00:00:00.000Z' },
+    other: '12',
+  });
+  expect(attributes).toEqual({
+    age: 12,
+    married: false,
+    address: { city: 'Athens', since: new Date('2020-01-02T00:00:00.000Z') },
+    other: '12',
+  });
+  expect(serialize(schema, attributes)).toEqual({
+    age: 12,
+    married: false,
+    address: { city: 'Athens', since: '2020-01-02T00:00:00.000Z' },
+    other: '12',
+  });
+});
+
+test('validate', () => {
+  expect(validate(schema, { age: 12, address: { city: 'Athens' } }))
+    .toEqual({});
+  expect(validate(schema, { age: 'twelve',
+                            married: 'no',
+                            address: { since: 'never' },
+                            nickname: 'Mister Incredible' })).toEqual({
+    age: ['must be a number'],
+    married: ['must be a boolean'],
+    'address.city': ['is required'],
+    'address.since': ['must be a date'],
+    nickname: ['is too long'],
+  });
+  expect(validate(schema, { age: 'twelve', married: 'no' }, ['married']))
+    .toEqual({ married: ['must be a boolean'] });
+});
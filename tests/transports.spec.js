@@ -0,0 +1,124 @@
+/* global test expect jest */
+
+import { AxiosTransport, FetchTransport } from '../src/transports';
+import { JsonApiException, TransportError } from '../src/errors';
+import { JsonApi } from '../src/apis';
+
+function fakeResponse(status, body = null, headers = {}) {
+  return {
+    status,
+    statusText: '',
+    headers: new Map(Object.entries(headers)),
+    text: async () => (body === null ? '' : JSON.stringify(body)),
+  };
+}
+
+test('AxiosTransport forwards to the axios instance', async () => {
+  const instance = { request: jest.fn() };
+  instance.request.mockResolvedValue('mock response');
+  const transport = new AxiosTransport(instance);
+  const response = await transport.request({ method: 'get', url: '/path' });
+  expect(response).toBe('mock response');
+  expect(instance.request).toHaveBeenCalledWith({ method: 'get',
+                                                   url: '/path' });
+});
+
+test('AxiosTransport removes its abort listener', async () => {
+  const instance = { request: jest.fn() };
+  instance.request.mockResolvedValue('mock response');
+  const signal = { aborted: false,
+                   addEventListener: jest.fn(),
+                   removeEventListener: jest.fn() };
+  const transport = new AxiosTransport(instance);
+  await transport.request({ method: 'get', url: '/path', signal });
+  expect(signal.addEventListener).toHaveBeenCalledWith(
+    'abort', expect.any(Function), { once: true },
+  );
+  expect(signal.removeEventListener).toHaveBeenCalledWith(
+    'abort', signal.addEventListener.mock.calls[0][1],
+  );
+});
+
+test('FetchTransport builds the request', async () => {
+  const fetch = jest.fn();
+  fetch.mockResolvedValue(fakeResponse(200, { data: [] }));
+  const transport = new FetchTransport({ fetch });
+  await transport.request({
+    method: 'post',
+    url: 'https://api.com/items',
+    headers: { 'Content-Type': 'application/vnd.api+json' },
+    params: { 'filter[a]': 'b c', 'filter[d]': '1,2', e: null },
+    data: { data: { type: 'items' } },
+    maxRedirects: 0,
+  });
+  expect(fetch).toHaveBeenCalledWith(
+    'https://api.com/items?filter[a]=b+c&filter[d]=1,2',
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/vnd.api+json' },
+      body: '{"data":{"type":"items"}}',
+      redirect: 'manual',
+    },
+  );
+});
+
+test('FetchTransport normalizes the response', async () => {
+  const fetch = jest.fn();
+  fetch.mockResolvedValue(fakeResponse(200,
+                                       { data: [] },
+                                       { ETag: '"abc"' }));
+  const transport = new FetchTransport({ fetch });
+  const response = await transport.request({ url: 'https://api.com/items' });
+  expect(response).toEqual({
+    status: 200,
+    statusText: '',
+    headers: { etag: '"abc"' },
+    data: { data: [] },
+  });
+});
+
+test('FetchTransport errors', async () => {
+  const fetch = jest.fn();
+  const transport = new FetchTransport({ fetch });
+
+  fetch.mockResolvedValue(fakeResponse(404));
+  await expect(transport.request({ url: 'https://api.com/items' })).
+    rejects.toMatchObject({ response: { status: 404, data: null } });
+
+  const networkError = new Error('fetch failed');
+  networkError.cause = { code: 'ECONNRESET' };
+  fetch.mockRejectedValue(networkError);
+  await expect(transport.request({ url: 'https://api.com/items' })).
+    rejects.toEqual(new TransportError('fetch failed'));
+  await expect(transport.request({ url: 'https://api.com/items' })).
+    rejects.toMatchObject({ code: 'ECONNRESET', response: null });
+});
+
+test('JsonApi raises the same exception with either transport', async () => {
+  const errors = [{ status: 400, code: 'BadRequest', detail: 'Bad request' }];
+  const fetch = jest.fn();
+  fetch.mockResolvedValue(fakeResponse(400, { errors }));
+  class Api extends JsonApi {
+    static HOST = 'https://api.com';
+
+    static TRANSPORT = new FetchTransport({ fetch });
+  }
+  const api = new Api({ auth: 'MYTOKEN' });
+  await expect(api.request({ method: 'get', url: '/path' })).
+    rejects.toEqual(new JsonApiException(400, errors));
+  expect(fetch).toHaveBeenCalledWith('https://api.com/path', {
+    method: 'GET',
+    headers: {
+      Authorization: 'Bearer MYTOKEN',
+      'Content-Type': 'application/vnd.api+json',
+    },
+    redirect: 'manual',
+  });
+
+  const instance = { request: jest.fn() };
+  instance.request.mockRejectedValue({ response: { status: 400,
+                                                   data: { errors } } });
+  api.setup({ transport: new AxiosTransport(instance) });
+  await expect(api.request({ method: 'get', url: '/path' })).
+    rejects.toEqual(new JsonApiException(400, errors));
+});